@@ -0,0 +1,129 @@
+/**
+ * Arpeggiator - Plays held notes one at a time in a pattern, in time with a Transport.
+ *
+ * Keys are press()ed and release()d as the player holds them; on every
+ * `rate` transport steps the next note of the pattern is played:
+ *
+ *   up / down  - held notes sorted by pitch, then repeated `octaves` times
+ *   random     - any held note in the octave range
+ *   asPlayed   - in the order the keys went down
+ *
+ * Each note lasts `gate` of the time to the next one, and `swing` delays
+ * every second note by that fraction of a note length. step() returns the
+ * note-on and its note-off together, both with timestamps, so a note can
+ * never be left hanging by a late timer.
+ *
+ * Usage:
+ *   const arp = new Arpeggiator({ mode: 'up', octaves: 2 });
+ *   arp.press(60, 100); arp.press(64, 100);
+ *   transport.onstep = (step, time, duration) => {
+ *     arp.step(step, time, duration, channel).forEach(e => output.send(e.data, e.time));
+ *   };
+ */
+import { MidiEncoder } from './MidiEncoder.js';
+
+export const ARP_MODES = [
+  { id: 'up', label: 'Up' },
+  { id: 'down', label: 'Down' },
+  { id: 'random', label: 'Random' },
+  { id: 'asPlayed', label: 'As played' }
+];
+
+export class Arpeggiator {
+  /**
+   * @param {object} settings - See set()
+   */
+  constructor(settings = {}) {
+    this.mode = 'up';
+    this.octaves = 1;
+    this.gate = 0.5;
+    this.swing = 0;
+    this.rate = 2;
+    this.set(settings);
+    this.held = [];   // { note, velocity } in press order
+    this.index = 0;   // position in the pattern
+  }
+
+  /**
+   * @param {object} settings
+   * @param {string} settings.mode - An ARP_MODES id
+   * @param {number} settings.octaves - Octave range, 1-4
+   * @param {number} settings.gate - Note length as a fraction of the time to the next note, 0.05-1
+   * @param {number} settings.swing - Delay of every second note, 0-0.75 of a note length
+   * @param {number} settings.rate - Transport steps per note, 1-16 (2 = eighths with 16th steps)
+   */
+  set({ mode = this.mode, octaves = this.octaves, gate = this.gate, swing = this.swing, rate = this.rate } = {}) {
+    if (!ARP_MODES.some(m => m.id === mode)) throw new RangeError(`Unknown arpeggiator mode: ${mode}`);
+    if (!Number.isInteger(octaves) || octaves < 1 || octaves > 4) throw new RangeError(`octaves must be 1-4, got ${octaves}`);
+    if (!(gate >= 0.05 && gate <= 1)) throw new RangeError(`gate must be 0.05-1, got ${gate}`);
+    if (!(swing >= 0 && swing <= 0.75)) throw new RangeError(`swing must be 0-0.75, got ${swing}`);
+    if (!Number.isInteger(rate) || rate < 1 || rate > 16) throw new RangeError(`rate must be 1-16 steps, got ${rate}`);
+    Object.assign(this, { mode, octaves, gate, swing, rate });
+  }
+
+  /**
+   * @param {number} note
+   * @param {number} velocity
+   */
+  press(note, velocity) {
+    if (this.held.some(h => h.note === note)) return;
+    this.held.push({ note, velocity });
+  }
+
+  /**
+   * @param {number} note
+   */
+  release(note) {
+    this.held = this.held.filter(h => h.note !== note);
+    if (!this.held.length) this.index = 0;
+  }
+
+  clear() {
+    this.held = [];
+    this.index = 0;
+  }
+
+  /**
+   * The notes one pass of the pattern plays.
+   * @returns {{note: number, velocity: number}[]}
+   */
+  pattern() {
+    const base = [...this.held];
+    if (this.mode === 'up' || this.mode === 'random') base.sort((a, b) => a.note - b.note);
+    if (this.mode === 'down') base.sort((a, b) => b.note - a.note);
+    const out = [];
+    for (let o = 0; o < this.octaves; o++) {
+      const shift = (this.mode === 'down' ? -12 : 12) * o;
+      base.forEach(h => {
+        const note = h.note + shift;
+        if (note >= 0 && note <= 127) out.push({ note, velocity: h.velocity });
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Messages for one transport step.
+   * @param {number} step - Transport step number
+   * @param {number} time - performance.now()-based time of the step
+   * @param {number} duration - Step length in ms
+   * @param {number} channel - 0-15
+   * @returns {{data: number[], time: number}[]}
+   */
+  step(step, time, duration, channel) {
+    if (step % this.rate !== 0 || !this.held.length) return [];
+    const pattern = this.pattern();
+    if (!pattern.length) return [];
+    const length = duration * this.rate;
+    const pick = this.mode === 'random'
+      ? pattern[Math.floor(Math.random() * pattern.length)]
+      : pattern[this.index++ % pattern.length];
+    // a swung note starts late but still has to end before the next one
+    const offset = (step / this.rate) % 2 === 1 ? this.swing * length : 0;
+    const start = time + offset;
+    return [
+      { data: MidiEncoder.noteOn(channel, pick.note, pick.velocity), time: start },
+      { data: MidiEncoder.noteOff(channel, pick.note), time: start + this.gate * (length - offset) }
+    ];
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * ChordStrummer - Turns one column of a scale layout into a strummed chord.
+ *
+ * Chords are stacked from the layout itself, so they stay in the current
+ * key: a triad takes the column plus the scale notes two and four steps up,
+ * a seventh adds the sixth step, sus2/sus4 swap the third for the second
+ * or fourth step. Notes that would run past the last column are taken an
+ * octave (one scale period) lower, like an inverted chord shape. A 'custom'
+ * voicing is a list of semitone offsets from the column's key instead.
+ *
+ * strum() spreads the notes out in time like a pick across strings: each
+ * note starts `speed` ms after the previous one and loses `falloff` of the
+ * previous note's velocity. The direction is low to high ('up'), high to
+ * low ('down'), or 'auto' to follow the drag (rightwards plays upwards).
+ *
+ * Usage:
+ *   const strummer = new ChordStrummer({ type: 'seventh', speed: 20 });
+ *   const notes = strummer.chord(currentKeys, idx, layout.degrees.length);
+ *   strummer.strum(notes, 100, +1).forEach(({ note, velocity, delay }) => {
+ *     setTimeout(() => sendNoteOn(note, velocity, chan), delay);
+ *   });
+ */
+
+/** Chord shapes as scale steps above the column. */
+export const CHORD_TYPES = {
+  triad:   { label: 'Triad', steps: [0, 2, 4] },
+  seventh: { label: '7th', steps: [0, 2, 4, 6] },
+  sus2:    { label: 'sus2', steps: [0, 1, 4] },
+  sus4:    { label: 'sus4', steps: [0, 3, 4] },
+  custom:  { label: 'Custom voicing', steps: null }
+};
+
+export const STRUM_DIRECTIONS = ['auto', 'up', 'down'];
+
+/**
+ * Parse "0 4 7 12" or "0,3,7" into semitone offsets.
+ * @param {string|number[]} voicing
+ * @returns {number[]}
+ */
+export function parseVoicing(voicing) {
+  const offsets = Array.isArray(voicing)
+    ? voicing.map(Number)
+    : String(voicing).trim().split(/[\s,]+/).filter(Boolean).map(Number);
+  if (!offsets.length) throw new RangeError('Voicing is empty');
+  if (offsets.some(o => !Number.isInteger(o) || o < -48 || o > 48)) {
+    throw new RangeError(`Voicing offsets must be whole semitones from -48 to 48: ${voicing}`);
+  }
+  return offsets;
+}
+
+export class ChordStrummer {
+  /**
+   * @param {object} settings
+   * @param {string} settings.type - A CHORD_TYPES key (default 'triad')
+   * @param {string|number[]} settings.voicing - Semitone offsets for 'custom' (default '0 4 7 12')
+   * @param {string} settings.direction - 'auto', 'up' or 'down' (default 'auto')
+   * @param {number} settings.speed - Milliseconds between notes, 0-500 (default 25)
+   * @param {number} settings.falloff - Velocity lost per note, 0-1 (default 0.1)
+   */
+  constructor({ type = 'triad', voicing = '0 4 7 12', direction = 'auto', speed = 25, falloff = 0.1 } = {}) {
+    if (!Object.hasOwn(CHORD_TYPES, type)) throw new RangeError(`Unknown chord type: ${type}`);
+    if (!STRUM_DIRECTIONS.includes(direction)) throw new RangeError(`Unknown strum direction: ${direction}`);
+    if (!(speed >= 0 && speed <= 500)) throw new RangeError(`speed must be 0-500 ms, got ${speed}`);
+    if (!(falloff >= 0 && falloff <= 1)) throw new RangeError(`falloff must be 0-1, got ${falloff}`);
+    this.type = type;
+    this.voicing = parseVoicing(voicing);
+    this.direction = direction;
+    this.speed = speed;
+    this.falloff = falloff;
+  }
+
+  /**
+   * MIDI keys of the chord on a column, low to high.
+   * @param {{key: number}[]} keys - The layout's columns, e.g. from MidiTuning.keys()
+   * @param {number} idx - Column the chord is built on
+   * @param {number} scaleSize - Notes per period in the layout (default 7)
+   * @returns {number[]}
+   */
+  chord(keys, idx, scaleSize = 7) {
+    const root = keys[idx].key;
+    let notes;
+    if (this.type === 'custom') {
+      notes = this.voicing.map(o => root + o).filter(n => n >= 0 && n <= 127);
+    } else {
+      notes = CHORD_TYPES[this.type].steps.map(step => {
+        let i = idx + step;
+        while (i >= keys.length && i - scaleSize >= 0) i -= scaleSize;
+        return keys[Math.min(i, keys.length - 1)].key;
+      });
+    }
+    return [...new Set(notes)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Timing and velocity for each chord note.
+   * @param {number[]} notes - Low to high, as from chord()
+   * @param {number} velocity - Velocity of the first note, 1-127
+   * @param {number} motion - Drag direction for 'auto': > 0 rightwards, < 0 leftwards (default 0)
+   * @returns {{note: number, velocity: number, delay: number}[]} In playing order
+   */
+  strum(notes, velocity, motion = 0) {
+    const down = this.direction === 'down' || (this.direction === 'auto' && motion < 0);
+    const order = down ? [...notes].reverse() : notes;
+    return order.map((note, i) => ({
+      note,
+      velocity: Math.max(1, Math.min(127, Math.round(velocity * (1 - this.falloff) ** i))),
+      delay: i * this.speed
+    }));
+  }
+}
@@ -0,0 +1,281 @@
+/**
+ * ControllerMap - User-defined sliders, knobs and buttons bound to MIDI controllers.
+ *
+ * Each control sends one kind of message on one channel:
+ *
+ *   cc        - Control Change `number`, 0-127
+ *   nrpn      - NRPN `number` (14-bit) through data entry; 0-127 sent as
+ *               the data entry MSB, or 0-16383 with `highRes`
+ *   pitchBend - 0-16383, 8192 centre
+ *
+ * A control is { id, label, kind, mode, type, channel, number, highRes, value }
+ * where kind is a CONTROL_KINDS id and mode ('momentary' or 'toggle') only
+ * matters to buttons. MIDI learn binds a control to the next controller
+ * message passed to receive(). An NRPN is learned as 7-bit from its data
+ * entry MSB and becomes `highRes` if the LSB for it follows. The controls in use are kept in localStorage
+ * and come back on reload; named layouts are snapshots to switch between.
+ *
+ * Usage:
+ *   const map = new ControllerMap({ defaults: [{ label: 'Reverb', type: 'cc', number: 91, value: 64 }] });
+ *   output.send(map.setValue(map.controls[0].id, 100));
+ *   map.learn(id);
+ *   input.onmidimessage = e => decoder.decode(e.data).forEach(msg => map.receive(msg));
+ */
+import { MidiEncoder, CC } from './MidiEncoder.js';
+
+export const CONTROL_KINDS = [
+  { id: 'slider', label: 'Slider' },
+  { id: 'knob', label: 'Knob' },
+  { id: 'button', label: 'Button' }
+];
+
+export const CONTROL_TYPES = [
+  { id: 'cc', label: 'CC' },
+  { id: 'nrpn', label: 'NRPN' },
+  { id: 'pitchBend', label: 'Pitch bend' }
+];
+
+// arrive ahead of an NRPN/RPN write and are reported again as part of it
+const PARAMETER_CCS = new Set([CC.RPN_MSB, CC.RPN_LSB, CC.NRPN_MSB, CC.NRPN_LSB]);
+
+function assertRange(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RangeError(`${name} must be ${min}-${max}, got ${value}`);
+  }
+}
+
+export class ControllerMap {
+  /**
+   * @param {object} options
+   * @param {object[]} options.defaults - Controls used until the user saves their own
+   * @param {string} options.storageKey - localStorage key (default 'controllerMap')
+   */
+  constructor({ defaults = [], storageKey = 'controllerMap' } = {}) {
+    this.defaults = defaults;
+    this.storageKey = storageKey;
+    this.controls = [];
+    this.layouts = {};      // name -> controls
+    this.learning = null;   // id of the control waiting for MIDI learn
+    this.learnedNrpn = null; // { id, channel, number } just learned from a data entry MSB
+    this.load();
+  }
+
+  load() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+    } catch (err) {
+      console.warn('Ignoring unreadable controller map:', err);
+    }
+    this.layouts = saved.layouts || {};
+    try {
+      this.controls = this.renumber(saved.controls || this.defaults);
+    } catch (err) {
+      console.warn('Ignoring invalid controls:', err);
+      this.controls = this.renumber(this.defaults);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ controls: this.controls, layouts: this.layouts }));
+  }
+
+  // validated copies with ids 1, 2, ...
+  renumber(controls) {
+    return controls.map((c, i) => ControllerMap.validate({ ...c, id: i + 1 }));
+  }
+
+  /**
+   * Check and complete a control; its value is clamped to the new range.
+   * @param {object} control
+   * @returns {object}
+   */
+  static validate(control) {
+    const c = {
+      label: '', kind: 'slider', mode: 'momentary', type: 'cc', channel: 0, number: 1, highRes: false,
+      ...control
+    };
+    if (!CONTROL_KINDS.some(k => k.id === c.kind)) throw new RangeError(`Unknown control kind: ${c.kind}`);
+    if (c.mode !== 'momentary' && c.mode !== 'toggle') throw new RangeError(`Unknown button mode: ${c.mode}`);
+    if (!CONTROL_TYPES.some(t => t.id === c.type)) throw new RangeError(`Unknown control type: ${c.type}`);
+    assertRange('Channel', c.channel, 0, 15);
+    if (c.type === 'cc') assertRange('Controller number', c.number, 0, 119);
+    if (c.type === 'nrpn') assertRange('NRPN number', c.number, 0, 16383);
+    c.highRes = !!c.highRes;
+    const max = ControllerMap.maxValue(c);
+    c.value = c.value === undefined ? (c.type === 'pitchBend' ? 8192 : 0) : Math.max(0, Math.min(max, Math.round(c.value)));
+    return c;
+  }
+
+  /**
+   * @param {object} control
+   * @returns {number} 127 or 16383
+   */
+  static maxValue(control) {
+    return control.type === 'pitchBend' || (control.type === 'nrpn' && control.highRes) ? 16383 : 127;
+  }
+
+  /**
+   * Message a control sends for its current value.
+   * @param {object} control
+   * @returns {number[]}
+   */
+  static message(control) {
+    const { type, channel, number, value } = control;
+    if (type === 'pitchBend') return MidiEncoder.pitchBend(channel, value);
+    if (type === 'nrpn') return MidiEncoder.nrpn(channel, number, control.highRes ? value : value << 7);
+    return MidiEncoder.controlChange(channel, number, value);
+  }
+
+  /**
+   * "Ch 1 · CC 91", for display.
+   * @param {object} control
+   * @returns {string}
+   */
+  static describe(control) {
+    const target = control.type === 'pitchBend' ? 'Pitch bend'
+      : control.type === 'nrpn' ? `NRPN ${control.number >> 7}/${control.number & 0x7F}`
+      : `CC ${control.number}`;
+    return `Ch ${control.channel + 1} · ${target}`;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return this.controls.find(c => c.id === id) || null;
+  }
+
+  /**
+   * Add a control bound to the first CC no other control uses on channel 1.
+   * @param {string} kind - A CONTROL_KINDS id
+   * @returns {object} The new control
+   */
+  add(kind) {
+    const used = new Set(this.controls.filter(c => c.type === 'cc' && c.channel === 0).map(c => c.number));
+    const number = [16, 17, 18, 19, 80, 81, 82, 83, ...Array(120).keys()].find(n => !used.has(n)) ?? 1;
+    const id = Math.max(0, ...this.controls.map(c => c.id)) + 1;
+    const label = `${CONTROL_KINDS.find(k => k.id === kind)?.label || 'Control'} ${id}`;
+    const control = ControllerMap.validate({ id, label, kind, type: 'cc', channel: 0, number });
+    this.controls.push(control);
+    this.persist();
+    return control;
+  }
+
+  /**
+   * Change a control's label, kind or binding. A value kept across a change
+   * of range is scaled to keep its position.
+   * @param {number} id
+   * @param {object} changes
+   * @returns {object} The updated control
+   */
+  update(id, changes) {
+    const index = this.controls.findIndex(c => c.id === id);
+    if (index < 0) throw new RangeError(`No control ${id}`);
+    const old = this.controls[index];
+    const merged = { ...old, ...changes, id };
+    const oldRange = ControllerMap.maxValue(old) + 1, newRange = ControllerMap.maxValue(merged) + 1;
+    if (changes.value === undefined && oldRange !== newRange) merged.value = old.value / oldRange * newRange;
+    const control = ControllerMap.validate(merged);
+    this.controls[index] = control;
+    this.persist();
+    return control;
+  }
+
+  remove(id) {
+    this.controls = this.controls.filter(c => c.id !== id);
+    if (this.learning === id) this.learning = null;
+    this.persist();
+  }
+
+  /**
+   * Move a control.
+   * @param {number} id
+   * @param {number} value - Clamped to the control's range
+   * @param {object} options
+   * @param {boolean} options.persist - Save now; leave false while dragging (default true)
+   * @returns {number[]} The message to send
+   */
+  setValue(id, value, { persist = true } = {}) {
+    const control = this.get(id);
+    if (!control) throw new RangeError(`No control ${id}`);
+    control.value = Math.max(0, Math.min(ControllerMap.maxValue(control), Math.round(value)));
+    if (persist) this.persist();
+    return ControllerMap.message(control);
+  }
+
+  /**
+   * Bind a control to the next controller message received.
+   * @param {number|null} id - null cancels
+   */
+  learn(id) {
+    this.learning = id;
+    this.learnedNrpn = null;
+  }
+
+  /**
+   * Offer an incoming message to MIDI learn.
+   * @param {object} msg - From MidiDecoder
+   * @returns {object|null} The control it was bound to
+   */
+  receive(msg) {
+    // a 14-bit controller follows the data entry MSB it was learned from with the LSB
+    const pending = this.learnedNrpn;
+    if (pending && msg.type === 'nrpn' && msg.channel === pending.channel && msg.parameter === pending.number) {
+      this.learnedNrpn = null;
+      if (msg.controller !== CC.DATA_ENTRY_LSB || !this.controls.some(c => c.id === pending.id)) return null;
+      return this.update(pending.id, { highRes: true });
+    }
+    if (this.learning === null) return null;
+    let binding;
+    if (msg.type === 'controlChange' && msg.controller < 120 && !PARAMETER_CCS.has(msg.controller)) {
+      binding = { type: 'cc', number: msg.controller };
+    } else if (msg.type === 'nrpn') {
+      // 7-bit until the LSB shows up
+      binding = { type: 'nrpn', number: msg.parameter, highRes: msg.controller === CC.DATA_ENTRY_LSB };
+    } else if (msg.type === 'pitchBend') {
+      binding = { type: 'pitchBend' };
+    } else {
+      return null;
+    }
+    const control = this.update(this.learning, { ...binding, channel: msg.channel });
+    this.learnedNrpn = binding.type === 'nrpn' && !binding.highRes
+      ? { id: control.id, channel: msg.channel, number: msg.parameter }
+      : null;
+    this.learning = null;
+    return control;
+  }
+
+  /** @returns {string[]} */
+  layoutNames() {
+    return Object.keys(this.layouts);
+  }
+
+  /**
+   * Store (or replace) the current controls under a name.
+   * @param {string} name
+   */
+  saveLayout(name) {
+    name = name.trim();
+    if (!name) throw new RangeError('Layout name is empty');
+    this.layouts[name] = structuredClone(this.controls);
+    this.persist();
+  }
+
+  /**
+   * Replace the current controls with a saved layout.
+   * @param {string} name
+   */
+  loadLayout(name) {
+    if (!Object.hasOwn(this.layouts, name)) throw new RangeError(`Unknown layout "${name}"`);
+    this.controls = this.renumber(this.layouts[name]);
+    this.learning = this.learnedNrpn = null;
+    this.persist();
+  }
+
+  removeLayout(name) {
+    delete this.layouts[name];
+    this.persist();
+  }
+}
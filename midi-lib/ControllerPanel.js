@@ -0,0 +1,324 @@
+/**
+ * ControllerPanel - Control surface for a ControllerMap, with editing and MIDI learn.
+ *
+ * Shows every control as a slider, a knob (drag up/down, or arrow keys
+ * when focused) or a button, each with its label and binding. Buttons are
+ * momentary (full value while held) or toggles. Pitch bend controls spring
+ * back to the centre when let go, like a wheel.
+ *
+ * The bar above adds controls, switches edit mode and saves and loads
+ * named layouts. In edit mode each control shows its label, kind and
+ * binding fields, a Learn button that waits for the next controller moved
+ * on the page's learn input (fed through receive()), and a remove button.
+ * Styling is left to the page via the `cp-*` class names.
+ *
+ * Usage:
+ *   const panel = new ControllerPanel(container, map, { send: data => output.send(data) });
+ *   learnInputs.onmessage = e => decoder.decode(e.data).forEach(msg => panel.receive(msg));
+ */
+import { ControllerMap, CONTROL_KINDS, CONTROL_TYPES } from './ControllerMap.js';
+
+const KNOB_SWEEP = 270;     // degrees from minimum to maximum
+const KNOB_TRAVEL = 150;    // px of drag for the full range
+
+export class ControllerPanel {
+  /**
+   * @param {HTMLElement} container
+   * @param {ControllerMap} map
+   * @param {object} options
+   * @param {Function} options.send - (data) => void
+   * @param {Function} options.onchange - () => void, after controls are added, removed or rebound
+   */
+  constructor(container, map, { send, onchange = null } = {}) {
+    this.container = container;
+    this.map = map;
+    this.send = send;
+    this.onchange = onchange;
+    this.editing = false;
+    this.build();
+    this.render();
+  }
+
+  build() {
+    const c = this.container;
+    c.classList.add('controller-panel');
+    c.innerHTML = '';
+
+    const bar = document.createElement('div');
+    bar.className = 'cp-bar';
+    const button = (text, onclick) => {
+      const b = document.createElement('button');
+      b.textContent = text;
+      b.addEventListener('click', onclick);
+      return b;
+    };
+    CONTROL_KINDS.forEach(k => bar.appendChild(button(`+ ${k.label}`, () => {
+      this.map.add(k.id);
+      this.setEditing(true);
+      this.changed();
+    })));
+    this.editBtn = button('Edit', () => this.setEditing(!this.editing));
+    this.layoutSelect = document.createElement('select');
+    this.layoutSelect.setAttribute('aria-label', 'Saved layouts');
+    this.loadBtn = button('Load', () => this.loadLayout());
+    const saveBtn = button('Save layout…', () => this.saveLayout());
+    this.deleteBtn = button('Delete', () => this.removeLayout());
+    bar.append(this.editBtn, this.layoutSelect, this.loadBtn, saveBtn, this.deleteBtn);
+
+    this.controlsEl = document.createElement('div');
+    this.controlsEl.className = 'cp-controls';
+    c.append(bar, this.controlsEl);
+    this.fillLayouts();
+  }
+
+  fillLayouts(selected = this.layoutSelect.value) {
+    this.layoutSelect.innerHTML = '';
+    this.map.layoutNames().forEach(name => {
+      const o = document.createElement('option');
+      o.value = o.textContent = name;
+      this.layoutSelect.appendChild(o);
+    });
+    if (this.map.layoutNames().includes(selected)) this.layoutSelect.value = selected;
+    this.loadBtn.disabled = this.deleteBtn.disabled = !this.map.layoutNames().length;
+  }
+
+  setEditing(editing) {
+    this.editing = editing;
+    if (!editing) this.map.learn(null);
+    this.editBtn.classList.toggle('active', editing);
+    this.editBtn.textContent = editing ? 'Done' : 'Edit';
+    this.render();
+  }
+
+  render() {
+    this.controlsEl.innerHTML = '';
+    this.map.controls.forEach(control => {
+      const box = document.createElement('div');
+      box.className = `cp-control cp-${control.kind}`;
+      const label = document.createElement('div');
+      label.className = 'cp-label';
+      label.textContent = control.label;
+      const binding = document.createElement('div');
+      binding.className = 'cp-binding';
+      binding.textContent = ControllerMap.describe(control);
+      // buttons carry their label themselves
+      if (control.kind !== 'button') box.appendChild(label);
+      box.append(this.widget(control), binding);
+      if (this.editing) box.appendChild(this.editor(control));
+      this.controlsEl.appendChild(box);
+    });
+  }
+
+  /**
+   * Move a control and send it.
+   * @param {object} control
+   * @param {number} value
+   * @param {boolean} done - The gesture is over, so the value is saved
+   */
+  move(control, value, done) {
+    this.send(this.map.setValue(control.id, value, { persist: done }));
+  }
+
+  widget(control) {
+    const max = ControllerMap.maxValue(control);
+    const spring = control.type === 'pitchBend';
+
+    if (control.kind === 'button') {
+      const btn = document.createElement('button');
+      btn.className = 'cp-button';
+      btn.textContent = control.label || 'On';
+      const show = () => btn.setAttribute('aria-pressed', control.value > 0);
+      show();
+      if (control.mode === 'toggle') {
+        btn.addEventListener('click', () => {
+          this.move(control, control.value > 0 ? 0 : max, true);
+          show();
+        });
+      } else {
+        let held = false;
+        const press = e => {
+          e.preventDefault();
+          held = true;
+          this.move(control, max, false);
+          show();
+        };
+        const release = () => {
+          if (!held) return;
+          held = false;
+          this.move(control, spring ? 8192 : 0, true);
+          show();
+        };
+        btn.addEventListener('pointerdown', press);
+        btn.addEventListener('pointerup', release);
+        btn.addEventListener('pointerleave', release);
+        btn.addEventListener('pointercancel', release);
+      }
+      return btn;
+    }
+
+    if (control.kind === 'knob') {
+      const knob = document.createElement('div');
+      knob.className = 'cp-knob';
+      knob.tabIndex = 0;
+      knob.setAttribute('role', 'slider');
+      knob.setAttribute('aria-label', control.label);
+      knob.setAttribute('aria-valuemin', 0);
+      knob.setAttribute('aria-valuemax', max);
+      const pointer = document.createElement('div');
+      pointer.className = 'cp-knob-pointer';
+      knob.appendChild(pointer);
+      const show = () => {
+        pointer.style.transform = `rotate(${control.value / max * KNOB_SWEEP - KNOB_SWEEP / 2}deg)`;
+        knob.setAttribute('aria-valuenow', control.value);
+      };
+      show();
+      let drag = null;
+      knob.addEventListener('pointerdown', e => {
+        knob.setPointerCapture(e.pointerId);
+        drag = { y: e.clientY, value: control.value };
+      });
+      knob.addEventListener('pointermove', e => {
+        if (!drag) return;
+        this.move(control, drag.value + (drag.y - e.clientY) / KNOB_TRAVEL * max, false);
+        show();
+      });
+      const end = () => {
+        if (!drag) return;
+        drag = null;
+        this.move(control, spring ? 8192 : control.value, true);
+        show();
+      };
+      knob.addEventListener('pointerup', end);
+      knob.addEventListener('pointercancel', end);
+      knob.addEventListener('keydown', e => {
+        const step = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1 }[e.key];
+        if (!step) return;
+        e.preventDefault();
+        this.move(control, control.value + step * Math.ceil((max + 1) / 128), true);
+        show();
+      });
+      return knob;
+    }
+
+    const slider = document.createElement('input');
+    Object.assign(slider, { type: 'range', min: 0, max, value: control.value, className: 'cp-slider' });
+    slider.setAttribute('aria-label', control.label);
+    slider.addEventListener('input', () => this.move(control, +slider.value, false));
+    slider.addEventListener('change', () => {
+      if (spring) slider.value = 8192;
+      this.move(control, +slider.value, true);
+    });
+    return slider;
+  }
+
+  editor(control) {
+    const div = document.createElement('div');
+    div.className = 'cp-editor';
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    const select = (options, value) => {
+      const s = document.createElement('select');
+      options.forEach(([v, text]) => {
+        const o = document.createElement('option');
+        o.value = v; o.textContent = text;
+        s.appendChild(o);
+      });
+      s.value = value;
+      return s;
+    };
+    const update = changes => {
+      try {
+        this.map.update(control.id, changes);
+      } catch (err) {
+        alert(err.message);
+      }
+      this.changed();
+    };
+
+    const labelInput = document.createElement('input');
+    Object.assign(labelInput, { type: 'text', value: control.label, size: 10 });
+    labelInput.addEventListener('change', () => update({ label: labelInput.value.trim() }));
+    const kindSelect = select(CONTROL_KINDS.map(k => [k.id, k.label]), control.kind);
+    kindSelect.addEventListener('change', () => update({ kind: kindSelect.value }));
+    const modeSelect = select([['momentary', 'Momentary'], ['toggle', 'Toggle']], control.mode);
+    modeSelect.addEventListener('change', () => update({ mode: modeSelect.value }));
+    const typeSelect = select(CONTROL_TYPES.map(t => [t.id, t.label]), control.type);
+    typeSelect.addEventListener('change', () => update({ type: typeSelect.value }));
+    const channelSelect = select([...Array(16).keys()].map(ch => [ch, ch + 1]), control.channel);
+    channelSelect.addEventListener('change', () => update({ channel: +channelSelect.value }));
+    const numberInput = document.createElement('input');
+    Object.assign(numberInput, { type: 'number', min: 0, max: control.type === 'nrpn' ? 16383 : 119,
+                                 value: control.number, title: control.type === 'nrpn' ? 'MSB × 128 + LSB' : '' });
+    numberInput.addEventListener('change', () => update({ number: +numberInput.value }));
+    const highResBox = document.createElement('input');
+    highResBox.type = 'checkbox';
+    highResBox.checked = control.highRes;
+    highResBox.addEventListener('change', () => update({ highRes: highResBox.checked }));
+
+    const learnBtn = document.createElement('button');
+    const learning = this.map.learning === control.id;
+    learnBtn.textContent = learning ? 'Move a controller…' : 'Learn';
+    learnBtn.classList.toggle('active', learning);
+    learnBtn.addEventListener('click', () => {
+      this.map.learn(learning ? null : control.id);
+      this.render();
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '✕';
+    removeBtn.setAttribute('aria-label', `Remove ${control.label}`);
+    removeBtn.addEventListener('click', () => {
+      this.map.remove(control.id);
+      this.changed();
+    });
+
+    div.append(field('Label:', labelInput), field('Kind:', kindSelect));
+    if (control.kind === 'button') div.appendChild(field('Mode:', modeSelect));
+    div.append(field('Sends:', typeSelect), field('Ch:', channelSelect));
+    if (control.type !== 'pitchBend') div.appendChild(field('No.:', numberInput));
+    if (control.type === 'nrpn') div.appendChild(field('14-bit:', highResBox));
+    div.append(learnBtn, removeBtn);
+    return div;
+  }
+
+  /**
+   * Pass an incoming message on for MIDI learn.
+   * @param {object} msg - From MidiDecoder
+   * @returns {boolean} Whether it bound a control
+   */
+  receive(msg) {
+    if (!this.map.receive(msg)) return false;
+    this.changed();
+    return true;
+  }
+
+  /** Redraw and let the page know the controls changed. */
+  changed() {
+    this.render();
+    this.onchange?.();
+  }
+
+  loadLayout() {
+    const name = this.layoutSelect.value;
+    if (!name) return;
+    this.map.loadLayout(name);
+    this.changed();
+  }
+
+  saveLayout() {
+    const name = prompt('Layout name:', this.layoutSelect.value || '')?.trim();
+    if (!name) return;
+    if (this.map.layoutNames().includes(name) && !confirm(`Replace layout "${name}"?`)) return;
+    this.map.saveLayout(name);
+    this.fillLayouts(name);
+  }
+
+  removeLayout() {
+    const name = this.layoutSelect.value;
+    if (!name || !confirm(`Delete layout "${name}"?`)) return;
+    this.map.removeLayout(name);
+    this.fillLayouts();
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * GestureMapper - Turns held-pointer movement into continuous MIDI expression.
+ *
+ * Three axes, each configured on its own:
+ *
+ *   vertical   - pointer height (0 bottom .. 1 top) to a controller, e.g.
+ *                CC11 expression or CC1 modulation, scaled into min..max
+ *   horizontal - sideways movement from where the note started, in column
+ *                widths, to pitch bend; `span` columns give `depth` of the
+ *                full bend range
+ *   pressure   - pointer pressure (0..1) to channel aftertouch, min..max
+ *
+ * Every axis has a `target` ('off' disables it) and an `invert` flag.
+ * A touch can also carry a fixed bend offset (for microtonal pitches) that
+ * the wobble is added to. Values are only sent when they change on a
+ * channel, and when the last touch on a channel lifts, pitch bend and
+ * aftertouch return to rest so the next note starts clean.
+ *
+ * Usage:
+ *   const gestures = new GestureMapper(savedConfig);
+ *   send(gestures.start(e.pointerId, channel, { x, y, pressure }));  // before the note-on
+ *   send(gestures.move(e.pointerId, { x, y, pressure }));
+ *   send(gestures.end(e.pointerId));
+ */
+import { MidiEncoder, PITCH_BEND_CENTER } from './MidiEncoder.js';
+
+export class GestureMapper {
+  /**
+   * @param {object} config - Per-axis settings; missing fields take defaults()
+   */
+  constructor(config = {}) {
+    this.setConfig(config);
+    this.touches = new Map();  // pointer id -> { channel, x0, bendOffset }
+    this.sent = new Map();     // channel -> last values sent
+  }
+
+  static defaults() {
+    return {
+      vertical: { target: 11, min: 0, max: 127, invert: false },
+      horizontal: { target: 'pitchBend', span: 0.5, depth: 1, invert: false },
+      pressure: { target: 'aftertouch', min: 0, max: 127, invert: false }
+    };
+  }
+
+  /**
+   * @param {object} config
+   */
+  setConfig(config) {
+    const defaults = GestureMapper.defaults();
+    this.config = {};
+    for (const axis of Object.keys(defaults)) {
+      this.config[axis] = { ...defaults[axis], ...(config?.[axis] || {}) };
+    }
+  }
+
+  /**
+   * A pointer went down on a new note; x is where wobble is measured from.
+   * @param {*} id - Pointer id
+   * @param {number} channel - 0-15
+   * @param {{x: number, y: number, pressure: number|null}} sample - x in column widths, y 0..1
+   * @param {number} bendOffset - Added to the 14-bit bend while the touch lasts (default 0)
+   * @returns {number[]} Messages to send before the note-on
+   */
+  start(id, channel, sample, bendOffset = 0) {
+    this.touches.set(id, { channel, x0: sample.x, bendOffset });
+    return this.move(id, sample);
+  }
+
+  /**
+   * @param {*} id
+   * @param {{x: number, y: number, pressure: number|null}} sample
+   * @returns {number[]} Changed controller, bend and aftertouch messages
+   */
+  move(id, sample) {
+    const touch = this.touches.get(id);
+    if (!touch) return [];
+    const { vertical, horizontal, pressure } = this.config;
+    const out = [];
+
+    if (vertical.target !== 'off') {
+      const cc = +vertical.target;
+      this.update(out, touch.channel, `cc${cc}`, this.scale(vertical, sample.y),
+        v => MidiEncoder.controlChange(touch.channel, cc, v));
+    }
+    // a bend left by an earlier note on this channel is always brought up to date
+    const bent = this.sent.get(touch.channel)?.bend !== undefined;
+    if (horizontal.target === 'pitchBend' || touch.bendOffset || bent) {
+      let amount = 0;
+      if (horizontal.target === 'pitchBend') {
+        amount = (sample.x - touch.x0) / (horizontal.span || 1);
+        amount = Math.max(-1, Math.min(1, amount)) * horizontal.depth * (horizontal.invert ? -1 : 1);
+      }
+      const bend = Math.max(0, Math.min(16383, Math.round(PITCH_BEND_CENTER + touch.bendOffset + amount * 8191)));
+      this.update(out, touch.channel, 'bend', bend, v => MidiEncoder.pitchBend(touch.channel, v));
+    }
+    if (pressure.target === 'aftertouch' && sample.pressure !== null && sample.pressure !== undefined) {
+      this.update(out, touch.channel, 'pressure', this.scale(pressure, sample.pressure),
+        v => MidiEncoder.channelPressure(touch.channel, v));
+    }
+    return out;
+  }
+
+  /**
+   * @param {*} id
+   * @returns {number[]} Bend/aftertouch resets if no touch is left on the channel
+   */
+  end(id) {
+    const touch = this.touches.get(id);
+    if (!touch) return [];
+    this.touches.delete(id);
+    const { channel } = touch;
+    if ([...this.touches.values()].some(t => t.channel === channel)) return [];
+    const out = [];
+    const last = this.sent.get(channel) || {};
+    if (last.bend !== undefined) {
+      this.update(out, channel, 'bend', PITCH_BEND_CENTER, v => MidiEncoder.pitchBend(channel, v));
+    }
+    if (last.pressure !== undefined) {
+      this.update(out, channel, 'pressure', 0, v => MidiEncoder.channelPressure(channel, v));
+    }
+    return out;
+  }
+
+  /** Forget all touches and what was sent, e.g. after the output changed. */
+  reset() {
+    this.touches.clear();
+    this.sent.clear();
+  }
+
+  scale({ min, max, invert }, fraction) {
+    const f = Math.max(0, Math.min(1, invert ? 1 - fraction : fraction));
+    return Math.max(0, Math.min(127, Math.round(min + (max - min) * f)));
+  }
+
+  update(out, channel, key, value, encode) {
+    let last = this.sent.get(channel);
+    if (!last) this.sent.set(channel, last = {});
+    if (last[key] === value) return;
+    last[key] = value;
+    out.push(...encode(value));
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * InstrumentDetector - Finds out what is on the other end of an output.
+ *
+ * detect() sends a universal Identity Request and listens on every input
+ * for the Identity Reply (F0 7E dd 06 02 ...), which names the maker and
+ * its own family and model numbers. The maker tells which SysEx dialect to
+ * use: Yamaha instruments take XG, Roland ones GS. Model numbers are only
+ * meaningful to their maker, so they are reported as they come.
+ *
+ * The reply can only be read with MIDI access granted with `sysex: true`,
+ * and only if the instrument's MIDI out is connected back to an input.
+ *
+ * Usage:
+ *   const identity = await new InstrumentDetector(outputs.access).detect(output);
+ *   if (identity) status.textContent = InstrumentDetector.describe(identity);
+ */
+import { MidiDecoder } from './MidiDecoder.js';
+import { SysexEncoder } from './SysexEncoder.js';
+
+export const MANUFACTURERS = {
+  0x40: 'Kawai',
+  0x41: 'Roland',
+  0x42: 'Korg',
+  0x43: 'Yamaha',
+  0x44: 'Casio',
+  0x47: 'Akai'
+};
+
+const STANDARDS = { 0x41: 'gs', 0x43: 'xg' };
+
+function hex(value, digits) {
+  return value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+export class InstrumentDetector {
+  /**
+   * @param {MIDIAccess} access - Granted with SysEx
+   */
+  constructor(access) {
+    this.access = access;
+  }
+
+  /**
+   * Read an Identity Reply.
+   * @param {ArrayLike<number>} data - A complete SysEx message
+   * @returns {object|null} { manufacturer: number[], manufacturerName, family, member,
+   *                          version: number[], standard: 'xg'|'gs'|null }, or null if
+   *                          the message is not an Identity Reply
+   */
+  static parse(data) {
+    const bytes = [...data];
+    if (bytes[0] !== 0xF0 || bytes[1] !== 0x7E || bytes[3] !== 0x06 || bytes[4] !== 0x02) return null;
+    // one-byte ids, or 00 and two more
+    const idLength = bytes[5] === 0x00 ? 3 : 1;
+    const rest = bytes.slice(5 + idLength, -1);
+    if (bytes[bytes.length - 1] !== 0xF7 || rest.length < 8) return null;
+    const manufacturer = bytes.slice(5, 5 + idLength);
+    return {
+      manufacturer,
+      manufacturerName: idLength === 1 ? MANUFACTURERS[manufacturer[0]] || null : null,
+      family: rest[0] | rest[1] << 7,
+      member: rest[2] | rest[3] << 7,
+      version: rest.slice(4, 8),
+      standard: idLength === 1 ? STANDARDS[manufacturer[0]] || null : null
+    };
+  }
+
+  /**
+   * @param {object} identity - From parse()
+   * @returns {string} e.g. "Yamaha (family 0044, model 0123)"
+   */
+  static describe(identity) {
+    const maker = identity.manufacturerName || `Manufacturer ${identity.manufacturer.map(b => hex(b, 2)).join(' ')}`;
+    return `${maker} (family ${hex(identity.family, 4)}, model ${hex(identity.member, 4)})`;
+  }
+
+  /**
+   * Ask the instrument on `output` who it is.
+   * @param {object} output - MIDIOutput (or any object with send())
+   * @param {object} options
+   * @param {number} options.timeout - ms to wait for a reply (default 1000)
+   * @returns {Promise<object|null>} parse() of the first reply, or null if none came
+   */
+  async detect(output, { timeout = 1000 } = {}) {
+    const inputs = this.access
+      ? [...this.access.inputs.values()].filter(p => p.state !== 'disconnected')
+      : [];
+    // addEventListener, unlike onmidimessage, does not open the port
+    await Promise.all(inputs.map(p => p.open().catch(() => {})));
+
+    return new Promise(resolve => {
+      const decoders = new Map();
+      const listener = e => {
+        let decoder = decoders.get(e.target);
+        if (!decoder) decoders.set(e.target, decoder = new MidiDecoder());
+        for (const msg of decoder.decode(e.data)) {
+          const identity = msg.type === 'sysex' ? InstrumentDetector.parse(msg.data) : null;
+          if (identity) return finish(identity);
+        }
+      };
+      const finish = identity => {
+        clearTimeout(timer);
+        inputs.forEach(p => p.removeEventListener('midimessage', listener));
+        resolve(identity);
+      };
+      const timer = setTimeout(() => finish(null), timeout);
+      inputs.forEach(p => p.addEventListener('midimessage', listener));
+      try {
+        output.send(SysexEncoder.identityRequest());
+      } catch (err) {
+        console.warn('Could not send Identity Request:', err);
+        finish(null);
+      }
+    });
+  }
+}
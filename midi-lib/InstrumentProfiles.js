@@ -0,0 +1,107 @@
+/**
+ * InstrumentProfiles - Named voice lists, one per instrument, kept in localStorage.
+ *
+ * Built-in profiles (for example the PSR list from voice_list.js and the
+ * General MIDI set) are passed in by the page and cannot be overwritten or
+ * deleted; imported profiles are stored under `storageKey` together with
+ * the name of the active one.
+ *
+ * Every profile numbers its programs 0-127, as VoiceListFile reads and
+ * writes them, so an exported profile can always be imported again; pass
+ * 1-based lists through VoiceListFile.fromOneBased() first.
+ *
+ * Usage:
+ *   const profiles = new InstrumentProfiles({
+ *     builtIn: { 'Yamaha PSR': VoiceListFile.fromOneBased(window.VOICE_LIST), 'General MIDI': GM_VOICE_LIST }
+ *   });
+ *   profiles.save('Genos', voiceList);
+ *   profiles.setActive('Genos');
+ *   rebuild(profiles.active);
+ */
+export class InstrumentProfiles {
+  /**
+   * @param {object} options
+   * @param {Object<string, object>} options.builtIn - Profile name to voice list
+   * @param {string} options.storageKey - localStorage key (default 'instrumentProfiles')
+   */
+  constructor({ builtIn = {}, storageKey = 'instrumentProfiles' } = {}) {
+    this.builtIn = builtIn;
+    this.storageKey = storageKey;
+    this.stored = {};
+    this.activeName = Object.keys(builtIn)[0] || null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+      this.stored = saved.profiles || {};
+      if (saved.active && this.get(saved.active)) this.activeName = saved.active;
+    } catch (err) {
+      console.warn('Ignoring unreadable instrument profiles:', err);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify({
+      active: this.activeName,
+      profiles: this.stored
+    }));
+  }
+
+  /** @returns {string[]} Built-in profiles first, then stored ones */
+  names() {
+    return [...Object.keys(this.builtIn), ...Object.keys(this.stored)];
+  }
+
+  isBuiltIn(name) {
+    return Object.hasOwn(this.builtIn, name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|null} The profile's voice list
+   */
+  get(name) {
+    if (this.isBuiltIn(name)) return this.builtIn[name];
+    return Object.hasOwn(this.stored, name) ? this.stored[name] : null;
+  }
+
+  /** Voice list of the active profile. */
+  get active() {
+    return this.get(this.activeName) || {};
+  }
+
+  /**
+   * @param {string} name
+   */
+  setActive(name) {
+    if (!this.get(name)) throw new RangeError(`Unknown instrument profile "${name}"`);
+    this.activeName = name;
+    this.persist();
+  }
+
+  /**
+   * Store (or replace) a profile.
+   * @param {string} name
+   * @param {object} voiceList
+   */
+  save(name, voiceList) {
+    name = name.trim();
+    if (!name) throw new RangeError('Profile name is empty');
+    if (this.isBuiltIn(name)) throw new Error(`"${name}" is built in and cannot be replaced`);
+    this.stored[name] = voiceList;
+    this.persist();
+  }
+
+  /**
+   * Delete a stored profile; the first built-in becomes active if it was.
+   * @param {string} name
+   */
+  remove(name) {
+    if (this.isBuiltIn(name)) throw new Error(`"${name}" is built in and cannot be deleted`);
+    delete this.stored[name];
+    if (this.activeName === name) this.activeName = this.names()[0] || null;
+    this.persist();
+  }
+}
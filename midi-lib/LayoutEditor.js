@@ -0,0 +1,256 @@
+/**
+ * LayoutEditor - Settings panel for creating column layouts and choosing tuning output.
+ *
+ * Builds a small form inside the given container: name, interval pattern,
+ * root note, octave range and column count, Scala .scl/.kbm file inputs,
+ * a preview of the resulting notes, and Save/Delete buttons that write to
+ * a LayoutLibrary. A Scala file replaces the interval pattern until a new
+ * pattern is typed.
+ *
+ * It also holds the microtonal output setting shared by the strum pages:
+ * `tuning.mode` is 'nearest' (round to 12-TET keys), 'bend' (nearest key
+ * plus pitch bend of `tuning.bendRange` semitones) or 'mts' (retune keys
+ * with MIDI Tuning Standard SysEx). It is kept in localStorage.
+ *
+ * Usage:
+ *   const editor = new LayoutEditor(panel, layouts, {
+ *     onsave: layout => { fillLayoutSelect(); useLayout(layout.name); },
+ *     ontuningchange: tuning => updateLayout()
+ *   });
+ *   editor.edit(layouts.get(layoutSelect.value));
+ */
+import { ScaleLayout } from './ScaleLayout.js';
+import { ScalaFile } from './ScalaFile.js';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+/**
+ * "C4", or "C4 +25¢" for pitches off the 12-TET grid.
+ * @param {number} pitch - Cents above MIDI note 0
+ * @returns {string}
+ */
+export function pitchName(pitch) {
+  const key = Math.round(pitch / 100);
+  const cents = Math.round(pitch - key * 100);
+  const name = `${NOTE_NAMES[((key % 12) + 12) % 12]}${Math.floor(key / 12) - 1}`;
+  return cents ? `${name} ${cents > 0 ? '+' : ''}${cents}¢` : name;
+}
+
+const TUNING_MODES = [
+  { id: 'nearest', label: 'Nearest key (12-TET)' },
+  { id: 'bend', label: 'Per-note pitch bend' },
+  { id: 'mts', label: 'MIDI Tuning Standard SysEx' }
+];
+
+export class LayoutEditor {
+  /**
+   * @param {HTMLElement} container
+   * @param {LayoutLibrary} library
+   * @param {object} options
+   * @param {Function} options.onsave - (layout) => void, after a layout is saved
+   * @param {Function} options.ondelete - (name) => void, after a layout is deleted
+   * @param {Function} options.ontuningchange - (tuning) => void
+   * @param {string} options.storageKey - localStorage key for the tuning setting (default 'tuningOutput')
+   */
+  constructor(container, library, { onsave = null, ondelete = null, ontuningchange = null,
+                                    storageKey = 'tuningOutput' } = {}) {
+    this.container = container;
+    this.library = library;
+    this.onsave = onsave;
+    this.ondelete = ondelete;
+    this.ontuningchange = ontuningchange;
+    this.storageKey = storageKey;
+    this.scala = null;    // parsed .scl waiting to be saved
+    this.keymap = null;   // parsed .kbm
+    this.base = null;     // layout being edited, for Scala layouts without their file
+    this.tuning = { mode: 'nearest', bendRange: 2 };
+    try {
+      Object.assign(this.tuning, JSON.parse(localStorage.getItem(storageKey) || '{}'));
+    } catch (err) {
+      console.warn('Ignoring unreadable tuning setting:', err);
+    }
+    this.build();
+  }
+
+  build() {
+    const c = this.container;
+    c.innerHTML = '';
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    const input = (type, attrs = {}) => {
+      const el = document.createElement('input');
+      el.type = type;
+      Object.assign(el, attrs);
+      el.addEventListener('input', () => this.preview());
+      return el;
+    };
+
+    this.nameInput = input('text', { placeholder: 'my scale' });
+    this.patternInput = input('text', { placeholder: '2 2 1 2 2 2 1', size: 24 });
+    this.patternInput.addEventListener('input', () => {
+      this.scala = this.keymap = this.base = null;
+      this.scalaInfo.textContent = '';
+    });
+    this.rootInput = input('number', { min: 0, max: 127, value: 48 });
+    this.octavesInput = input('number', { min: 1, max: 10, value: 3 });
+    this.columnsInput = input('number', { min: 0, max: 128, value: 0, title: '0 = one column per note in the octave range' });
+
+    const sclInput = input('file', { accept: '.scl' });
+    sclInput.addEventListener('change', () => this.loadScala(sclInput, 'scl'));
+    const kbmInput = input('file', { accept: '.kbm' });
+    kbmInput.addEventListener('change', () => this.loadScala(kbmInput, 'kbm'));
+    this.scalaInfo = document.createElement('span');
+    this.scalaInfo.className = 'layout-scala-info';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save layout';
+    saveBtn.addEventListener('click', () => this.save());
+    this.deleteBtn = document.createElement('button');
+    this.deleteBtn.textContent = 'Delete layout';
+    this.deleteBtn.addEventListener('click', () => this.remove());
+
+    this.previewEl = document.createElement('div');
+    this.previewEl.className = 'layout-preview';
+
+    this.modeSelect = document.createElement('select');
+    TUNING_MODES.forEach(m => {
+      const o = document.createElement('option');
+      o.value = m.id; o.textContent = m.label;
+      this.modeSelect.appendChild(o);
+    });
+    this.modeSelect.value = this.tuning.mode;
+    this.bendRangeInput = document.createElement('input');
+    Object.assign(this.bendRangeInput, { type: 'number', min: 1, max: 96, value: this.tuning.bendRange });
+    this.modeSelect.addEventListener('change', () => this.tuningChanged());
+    this.bendRangeInput.addEventListener('change', () => this.tuningChanged());
+
+    const row = (...children) => {
+      const div = document.createElement('div');
+      div.className = 'layout-row';
+      div.append(...children);
+      return div;
+    };
+    c.append(
+      row(field('Name:', this.nameInput), field('Intervals (semitones):', this.patternInput)),
+      row(field('Root note:', this.rootInput), field('Octaves:', this.octavesInput),
+          field('Columns:', this.columnsInput)),
+      row(field('Scala .scl:', sclInput), field('.kbm:', kbmInput), this.scalaInfo),
+      row(saveBtn, this.deleteBtn),
+      this.previewEl,
+      row(field('Microtonal output:', this.modeSelect), field('Bend range (semitones):', this.bendRangeInput))
+    );
+  }
+
+  async loadScala(fileInput, kind) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      if (kind === 'scl') {
+        this.scala = ScalaFile.parseScl(text);
+        this.patternInput.value = '';
+        this.base = null;
+        if (!this.nameInput.value) this.nameInput.value = this.scala.description || file.name.replace(/\.scl$/i, '');
+      } else {
+        this.keymap = ScalaFile.parseKbm(text);
+        this.rootInput.value = this.keymap.middle;
+      }
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err.message}`);
+      return;
+    }
+    const parts = [];
+    if (this.scala) parts.push(`${this.scala.cents.length}-note scale`);
+    if (this.keymap) parts.push(`mapping from ${this.keymap.middle}, ${this.keymap.frequency} Hz on ${this.keymap.reference}`);
+    this.scalaInfo.textContent = parts.join('; ');
+    this.preview();
+  }
+
+  /**
+   * Layout described by the form.
+   * @returns {ScaleLayout}
+   */
+  layout() {
+    const name = this.nameInput.value.trim();
+    const options = {
+      root: +this.rootInput.value,
+      octaves: +this.octavesInput.value,
+      columns: +this.columnsInput.value
+    };
+    if (this.scala) return ScaleLayout.fromScala(name, this.scala, this.keymap, options);
+    if (this.base && !this.patternInput.value.trim()) {
+      return new ScaleLayout({ ...this.base.toJSON(), ...options, name });
+    }
+    return ScaleLayout.fromIntervals(name, this.patternInput.value, options);
+  }
+
+  preview() {
+    try {
+      const pitches = this.layout().pitches();
+      this.previewEl.textContent = `${pitches.length} columns: ${pitches.map(pitchName).join(' ')}`;
+    } catch (err) {
+      this.previewEl.textContent = err.message;
+    }
+  }
+
+  /**
+   * Fill the form from an existing layout.
+   * @param {ScaleLayout} layout
+   */
+  edit(layout) {
+    if (!layout) return;
+    this.scala = this.keymap = null;
+    this.base = layout;
+    this.scalaInfo.textContent = layout.source === 'scala' ? 'from a Scala file' : '';
+    this.nameInput.value = layout.name;
+    this.patternInput.value = layout.source === 'scala' ? '' : layout.pattern;
+    this.rootInput.value = layout.root;
+    this.octavesInput.value = layout.octaves;
+    this.columnsInput.value = layout.columns;
+    this.deleteBtn.disabled = this.library.isBuiltIn(layout.name);
+    this.preview();
+  }
+
+  save() {
+    let layout;
+    try {
+      layout = this.layout();
+      if (this.library.get(layout.name) && !this.library.isBuiltIn(layout.name) &&
+          layout.name !== this.base?.name && !confirm(`Replace layout "${layout.name}"?`)) return;
+      this.library.save(layout);
+    } catch (err) {
+      alert(`Layout not saved: ${err.message}`);
+      return;
+    }
+    this.edit(layout);
+    this.onsave?.(layout);
+  }
+
+  remove() {
+    const name = this.nameInput.value.trim();
+    if (!this.library.get(name) || this.library.isBuiltIn(name)) return;
+    if (!confirm(`Delete layout "${name}"?`)) return;
+    this.library.remove(name);
+    this.ondelete?.(name);
+  }
+
+  tuningChanged() {
+    this.tuning = { mode: this.modeSelect.value, bendRange: +this.bendRangeInput.value || 2 };
+    localStorage.setItem(this.storageKey, JSON.stringify(this.tuning));
+    this.ontuningchange?.(this.tuning);
+  }
+
+  /**
+   * Put the output mode back, e.g. when SysEx permission was refused.
+   * @param {string} mode
+   */
+  setTuningMode(mode) {
+    this.modeSelect.value = mode;
+    this.tuning = { ...this.tuning, mode };
+    localStorage.setItem(this.storageKey, JSON.stringify(this.tuning));
+  }
+}
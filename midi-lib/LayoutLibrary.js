@@ -0,0 +1,81 @@
+/**
+ * LayoutLibrary - The built-in column layouts plus user layouts from localStorage.
+ *
+ * Built-ins come from BUILT_IN_LAYOUTS and cannot be replaced or deleted.
+ * Custom layouts are stored as ScaleLayout JSON under `storageKey`, so every
+ * page using the same key shares them.
+ *
+ * Usage:
+ *   const layouts = new LayoutLibrary();
+ *   layouts.save(ScaleLayout.fromIntervals('dorian', '2 1 2 2 2 1 2'));
+ *   const pitches = layouts.get('dorian').pitches(+baseNoteSelect.value);
+ */
+import { ScaleLayout, BUILT_IN_LAYOUTS } from './ScaleLayout.js';
+
+export class LayoutLibrary {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'customLayouts')
+   */
+  constructor({ storageKey = 'customLayouts' } = {}) {
+    this.storageKey = storageKey;
+    this.builtIn = {};
+    Object.entries(BUILT_IN_LAYOUTS).forEach(([name, steps]) => {
+      this.builtIn[name] = ScaleLayout.fromIntervals(name, steps);
+    });
+    this.custom = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      saved.forEach(def => {
+        this.custom[def.name] = ScaleLayout.fromJSON(def);
+      });
+    } catch (err) {
+      console.warn('Ignoring unreadable custom layouts:', err);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify(Object.values(this.custom)));
+  }
+
+  /** @returns {string[]} Built-ins first, then custom layouts */
+  names() {
+    return [...Object.keys(this.builtIn), ...Object.keys(this.custom)];
+  }
+
+  isBuiltIn(name) {
+    return Object.hasOwn(this.builtIn, name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {ScaleLayout|null}
+   */
+  get(name) {
+    if (this.isBuiltIn(name)) return this.builtIn[name];
+    return Object.hasOwn(this.custom, name) ? this.custom[name] : null;
+  }
+
+  /**
+   * Store (or replace) a custom layout under its name.
+   * @param {ScaleLayout} layout
+   */
+  save(layout) {
+    const name = (layout.name || '').trim();
+    if (!name) throw new RangeError('Layout name is empty');
+    if (this.isBuiltIn(name)) throw new Error(`"${name}" is built in and cannot be replaced`);
+    layout.name = name;
+    this.custom[name] = layout;
+    this.persist();
+  }
+
+  remove(name) {
+    if (this.isBuiltIn(name)) throw new Error(`"${name}" is built in and cannot be deleted`);
+    delete this.custom[name];
+    this.persist();
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * MidiClock - MIDI beat clock in and out for a Transport, plus tap tempo.
+ *
+ * Three modes:
+ *
+ *   internal - the transport keeps its own time; nothing is sent
+ *   master   - as internal, and the transport's pulses go out as Timing
+ *              Clock (F8, 24 per quarter note) with Start, Continue (after
+ *              a Song Position Pointer) and Stop, all timestamped
+ *   follow   - the transport is driven by clocks from an input: receive()
+ *              takes its messages, Start/Continue/Stop run the transport
+ *              and Song Position Pointer moves it
+ *
+ * Pages start and stop through start(), continue() and stop() here rather
+ * than on the transport, so the messages go out in master mode and the
+ * buttons do nothing while following.
+ *
+ * Incoming clocks arrive with USB and scheduling jitter, so the follower
+ * does not play pulses at their arrival times. It keeps a smoothed pulse
+ * period and a predicted time for the next pulse, nudges the prediction a
+ * fraction (`smoothing`) towards each real arrival, and plays pulses
+ * `latency` ms after the prediction so they can be timestamped ahead.
+ *
+ * tap() sets the tempo from the average of the last few taps; a pause of
+ * two seconds starts a new count.
+ *
+ * Usage:
+ *   const clock = new MidiClock(transport, { send: (data, time) => output.send(data, time) });
+ *   clock.setMode('master');
+ *   playBtn.onclick = () => clock.start();
+ *   clockInputs.onmessage = e => clock.receive(e.data, e.timeStamp);
+ *   tapBtn.onclick = () => clock.tap();
+ */
+import { MidiDecoder } from './MidiDecoder.js';
+import { MidiEncoder } from './MidiEncoder.js';
+import { PPQN } from './Transport.js';
+
+export const CLOCK_MODES = [
+  { id: 'internal', label: 'Internal' },
+  { id: 'master', label: 'Send clock' },
+  { id: 'follow', label: 'Follow input' }
+];
+
+const CLOCK = 0xF8, START = 0xFA, CONTINUE = 0xFB, STOP = 0xFC;
+
+export class MidiClock {
+  /**
+   * @param {Transport} transport
+   * @param {object} options
+   * @param {Function} options.send - (data, timestamp) => void, for master mode
+   * @param {number} options.smoothing - How far each clock pulls the estimate, 0-1 (default 0.1)
+   * @param {number} options.latency - Delay added to followed pulses in ms (default 20)
+   */
+  constructor(transport, { send = null, smoothing = 0.1, latency = 20 } = {}) {
+    this.transport = transport;
+    this.send = send;
+    this.smoothing = smoothing;
+    this.latency = latency;
+    this.mode = 'internal';
+    this.decoder = new MidiDecoder();
+    this.taps = [];
+    this.reset();
+
+    this.onbpm = null;    // (bpm) => void, when tap tempo or a followed clock changes it
+    this.onmode = null;   // (mode) => void
+
+    transport.onpulse = (pulse, time) => {
+      if (this.mode === 'master') this.send?.([CLOCK], time);
+    };
+  }
+
+  /** Forget the followed clock's timing. */
+  reset() {
+    this.period = null;     // smoothed ms per pulse
+    this.predicted = null;  // expected arrival of the next pulse
+    this.lastArrival = null;
+  }
+
+  /**
+   * @param {string} mode - A CLOCK_MODES id
+   */
+  setMode(mode) {
+    if (!CLOCK_MODES.some(m => m.id === mode)) throw new RangeError(`Unknown clock mode: ${mode}`);
+    if (mode === this.mode) return;
+    this.transport.stop();
+    this.mode = mode;
+    this.transport.external = mode === 'follow';
+    this.reset();
+    this.onmode?.(mode);
+  }
+
+  /** Play from the top. Ignored while following. */
+  start() {
+    if (this.mode === 'follow' || this.transport.playing) return;
+    if (this.mode === 'master') this.send?.([START], performance.now());
+    this.transport.start();
+  }
+
+  /** Play from the current position. Ignored while following. */
+  continue() {
+    if (this.mode === 'follow' || this.transport.playing) return;
+    if (this.mode === 'master') {
+      // Song Position Pointer counts sixteenth notes
+      const beats = Math.min(0x3FFF, Math.round(this.transport.step * 4 / this.transport.stepsPerBeat));
+      this.send?.([...MidiEncoder.songPosition(beats), CONTINUE], performance.now());
+    }
+    this.transport.continue();
+  }
+
+  /** Stop the transport. Ignored while following. */
+  stop() {
+    if (this.mode === 'follow' || !this.transport.playing) return;
+    // after the clocks already scheduled ahead
+    if (this.mode === 'master') this.send?.([STOP], Math.max(performance.now(), this.transport.nextTime));
+    this.transport.stop();
+  }
+
+  /**
+   * Handle bytes from the followed input.
+   * @param {ArrayLike<number>} data
+   * @param {number} timestamp - Arrival time, performance.now()-based (MIDIMessageEvent.timeStamp)
+   */
+  receive(data, timestamp = performance.now()) {
+    if (this.mode !== 'follow') return;
+    for (const msg of this.decoder.decode(data)) {
+      switch (msg.type) {
+        case 'clock': this.clock(timestamp); break;
+        case 'start':
+          this.reset();
+          this.transport.start();
+          break;
+        case 'continue':
+          this.reset();
+          this.transport.continue();
+          break;
+        case 'stop': this.transport.stop(); break;
+        case 'songPosition':
+          if (!this.transport.playing) this.transport.locate(msg.position * this.transport.stepsPerBeat / 4);
+          break;
+      }
+    }
+  }
+
+  clock(arrival) {
+    if (this.lastArrival !== null) {
+      const interval = arrival - this.lastArrival;
+      // a gap of more than a pulse at 20 bpm means the clock stopped for a while
+      if (interval > 0 && interval < 60000 / 20 / PPQN) {
+        this.period = this.period === null ? interval : this.period + this.smoothing * (interval - this.period);
+      }
+    }
+    this.lastArrival = arrival;
+    if (!this.transport.playing) return;
+
+    const expected = this.predicted === null || this.period === null ? null : this.predicted + this.period;
+    // start from the arrival, or again when the prediction has drifted too far to pull back
+    this.predicted = expected === null || Math.abs(arrival - expected) > 4 * this.period
+      ? arrival
+      : expected + this.smoothing * (arrival - expected);
+    if (this.period !== null) this.followTempo(60000 / (this.period * PPQN));
+    this.transport.pulse(Math.max(performance.now(), this.predicted + this.latency));
+  }
+
+  followTempo(bpm) {
+    const clamped = Math.max(20, Math.min(300, bpm));
+    const changed = Math.round(clamped * 10) !== Math.round(this.transport.bpm * 10);
+    this.transport.setBpm(clamped);
+    if (changed) this.onbpm?.(clamped);
+  }
+
+  /**
+   * Register a tap; from the second tap on, the tempo follows the taps.
+   * Ignored while following an input.
+   * @param {number} time - performance.now()-based (default now)
+   * @returns {number|null} The new tempo, or null if not set
+   */
+  tap(time = performance.now()) {
+    if (this.mode === 'follow') return null;
+    if (this.taps.length && time - this.taps[this.taps.length - 1] > 2000) this.taps = [];
+    this.taps.push(time);
+    if (this.taps.length > 5) this.taps.shift();
+    if (this.taps.length < 2) return null;
+    const average = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+    const bpm = Math.round(Math.max(20, Math.min(300, 60000 / average)) * 10) / 10;
+    this.transport.setBpm(bpm);
+    this.onbpm?.(bpm);
+    return bpm;
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * MidiDecoder - Turns raw MIDI bytes into message objects.
+ *
+ * Handles running status, Note On with velocity 0 (reported as noteOff),
+ * real-time bytes interleaved inside other messages, SysEx, and RPN/NRPN
+ * data entry. Stray data bytes with no status to attach to are dropped and
+ * counted in `droppedBytes` rather than misread as a message.
+ *
+ * Keep one decoder per input port: running status and the RPN/NRPN parameter
+ * selection are per-stream state.
+ *
+ * Usage:
+ *   const decoder = new MidiDecoder();
+ *   input.onmidimessage = e => {
+ *     for (const msg of decoder.decode(e.data)) {
+ *       if (msg.type === 'noteOn') playNote(msg.note, msg.velocity);
+ *     }
+ *   };
+ *
+ * Message shapes (all channel messages carry `channel` 0-15):
+ *   { type: 'noteOn', channel, note, velocity }
+ *   { type: 'noteOff', channel, note, velocity }
+ *   { type: 'polyPressure', channel, note, pressure }
+ *   { type: 'controlChange', channel, controller, value }
+ *   { type: 'programChange', channel, program }
+ *   { type: 'channelPressure', channel, pressure }
+ *   { type: 'pitchBend', channel, value }            // 0-16383, 8192 centre
+ *   { type: 'rpn' | 'nrpn', channel, parameter, value,   // 14-bit each
+ *     controller }                                    // the data entry CC, 6 or 38
+ *   { type: 'sysex', data }                           // Uint8Array incl. F0/F7
+ *   { type: 'songPosition', position }                // in MIDI beats (16ths)
+ *   { type: 'songSelect', song }
+ *   { type: 'mtcQuarterFrame', value }
+ *   { type: 'tuneRequest' | 'clock' | 'start' | 'continue' | 'stop'
+ *           | 'activeSensing' | 'reset' }
+ */
+import { CC, STATUS } from './MidiEncoder.js';
+
+const REALTIME_TYPES = {
+  0xF8: 'clock',
+  0xFA: 'start',
+  0xFB: 'continue',
+  0xFC: 'stop',
+  0xFE: 'activeSensing',
+  0xFF: 'reset'
+};
+
+/**
+ * Number of data bytes that follow a status byte (SysEx excluded).
+ * @param {number} status
+ * @returns {number}
+ */
+export function dataLength(status) {
+  if (status < 0xF0) {
+    const command = status & 0xF0;
+    return (command === STATUS.PROGRAM_CHANGE || command === STATUS.CHANNEL_PRESSURE) ? 1 : 2;
+  }
+  switch (status) {
+    case 0xF1: case 0xF3: return 1;
+    case 0xF2: return 2;
+    default: return 0;
+  }
+}
+
+export class MidiDecoder {
+  constructor() {
+    this.runningStatus = null;  // Last channel status byte, for running status
+    this.pending = [];          // Data bytes collected for the current message
+    this.sysex = null;          // Bytes of an unterminated SysEx, or null
+    this.parameters = [];       // Per-channel RPN/NRPN selection state
+    this.droppedBytes = 0;
+  }
+
+  /**
+   * Decode a chunk of bytes. Partial messages are kept until the next call.
+   * @param {ArrayLike<number>} data - e.g. MIDIMessageEvent.data
+   * @returns {object[]} Decoded messages, in stream order
+   */
+  decode(data) {
+    const out = [];
+    for (let i = 0; i < data.length; i++) {
+      this.pushByte(data[i], out);
+    }
+    return out;
+  }
+
+  /**
+   * Forget running status, partial messages and RPN/NRPN selections.
+   */
+  reset() {
+    this.runningStatus = null;
+    this.pending = [];
+    this.sysex = null;
+    this.parameters = [];
+  }
+
+  /**
+   * Decode a single complete message without keeping state.
+   * @param {ArrayLike<number>} data
+   * @returns {object|null} The first decoded message, or null
+   */
+  static parse(data) {
+    return new MidiDecoder().decode(data)[0] || null;
+  }
+
+  pushByte(byte, out) {
+    if (!Number.isInteger(byte) || byte < 0 || byte > 0xFF) {
+      this.droppedBytes++;
+      return;
+    }
+
+    // Real-time bytes may appear anywhere, even inside SysEx, and do not
+    // disturb running status.
+    if (byte >= 0xF8) {
+      const type = REALTIME_TYPES[byte];
+      if (type) out.push({ type });
+      else this.droppedBytes++;
+      return;
+    }
+
+    if (this.sysex) {
+      if (byte === 0xF7) {
+        this.sysex.push(byte);
+        out.push({ type: 'sysex', data: Uint8Array.from(this.sysex) });
+        this.sysex = null;
+        return;
+      }
+      if (byte < 0x80) {
+        this.sysex.push(byte);
+        return;
+      }
+      // Any other status byte aborts an unterminated SysEx.
+      this.droppedBytes += this.sysex.length;
+      this.sysex = null;
+    }
+
+    if (byte >= 0x80) {
+      if (this.pending.length) this.droppedBytes += this.pending.length;
+      this.pending = [];
+      if (byte === 0xF0) {
+        this.sysex = [byte];
+        this.runningStatus = null;
+      } else if (byte >= 0xF0) {
+        // System common cancels running status.
+        this.runningStatus = null;
+        if (byte === 0xF7 || dataLength(byte) === 0) {
+          if (byte === 0xF6) out.push({ type: 'tuneRequest' });
+          else this.droppedBytes++;
+        } else {
+          this.pending = [byte];
+        }
+      } else {
+        this.runningStatus = byte;
+      }
+      return;
+    }
+
+    // Data byte
+    if (!this.pending.length) {
+      if (this.runningStatus === null) {
+        this.droppedBytes++;
+        return;
+      }
+      this.pending = [this.runningStatus];
+    }
+    this.pending.push(byte);
+    const status = this.pending[0];
+    if (this.pending.length - 1 === dataLength(status)) {
+      const msg = this.pending;
+      this.pending = [];
+      this.emit(msg, out);
+    }
+  }
+
+  emit([status, d1, d2], out) {
+    if (status >= 0xF0) {
+      if (status === 0xF1) out.push({ type: 'mtcQuarterFrame', value: d1 });
+      else if (status === 0xF2) out.push({ type: 'songPosition', position: d1 | (d2 << 7) });
+      else if (status === 0xF3) out.push({ type: 'songSelect', song: d1 });
+      return;
+    }
+
+    const command = status & 0xF0;
+    const channel = status & 0x0F;
+    switch (command) {
+      case STATUS.NOTE_ON:
+        out.push({ type: d2 === 0 ? 'noteOff' : 'noteOn', channel, note: d1, velocity: d2 });
+        break;
+      case STATUS.NOTE_OFF:
+        out.push({ type: 'noteOff', channel, note: d1, velocity: d2 });
+        break;
+      case STATUS.POLY_PRESSURE:
+        out.push({ type: 'polyPressure', channel, note: d1, pressure: d2 });
+        break;
+      case STATUS.CONTROL_CHANGE:
+        this.emitControlChange(channel, d1, d2, out);
+        break;
+      case STATUS.PROGRAM_CHANGE:
+        out.push({ type: 'programChange', channel, program: d1 });
+        break;
+      case STATUS.CHANNEL_PRESSURE:
+        out.push({ type: 'channelPressure', channel, pressure: d1 });
+        break;
+      case STATUS.PITCH_BEND:
+        out.push({ type: 'pitchBend', channel, value: d1 | (d2 << 7) });
+        break;
+    }
+  }
+
+  /**
+   * Tracks CC101/100 and CC99/98 selections so data entry (CC6/38) comes out
+   * as 'rpn'/'nrpn' messages carrying the full 14-bit value. Selection CCs are still reported as
+   * controlChange so callers can see them.
+   *
+   * Data entry is reported per byte: an MSB followed by an LSB gives two
+   * messages, the second refining the first. An MSB on its own keeps the
+   * LSB last entered for the same parameter, so the first message is not a
+   * stray value with the LSB zeroed; selecting a parameter starts its LSB
+   * at 0. Data entry after the null parameter (7F/7F) is passed on as
+   * plain controlChange.
+   */
+  emitControlChange(channel, controller, value, out) {
+    const state = this.parameters[channel] || (this.parameters[channel] = {
+      kind: null, msb: 0x7F, lsb: 0x7F, valueMsb: 0, valueLsb: 0
+    });
+
+    switch (controller) {
+      case CC.RPN_MSB: state.kind = 'rpn'; state.msb = value; state.valueLsb = 0; break;
+      case CC.RPN_LSB: state.kind = 'rpn'; state.lsb = value; state.valueLsb = 0; break;
+      case CC.NRPN_MSB: state.kind = 'nrpn'; state.msb = value; state.valueLsb = 0; break;
+      case CC.NRPN_LSB: state.kind = 'nrpn'; state.lsb = value; state.valueLsb = 0; break;
+      case CC.DATA_ENTRY_MSB:
+      case CC.DATA_ENTRY_LSB: {
+        const parameter = (state.msb << 7) | state.lsb;
+        if (!state.kind || parameter === 0x3FFF) break;
+        if (controller === CC.DATA_ENTRY_MSB) state.valueMsb = value;
+        else state.valueLsb = value;
+        out.push({ type: state.kind, channel, parameter, value: (state.valueMsb << 7) | state.valueLsb, controller });
+        return;
+      }
+    }
+    out.push({ type: 'controlChange', channel, controller, value });
+  }
+}
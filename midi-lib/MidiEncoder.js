@@ -0,0 +1,291 @@
+/**
+ * MidiEncoder - Builds raw byte arrays for MIDI channel voice messages.
+ *
+ * Every method validates its arguments (channel 0-15, 7-bit data 0-127,
+ * 14-bit values 0-16383) and throws a RangeError instead of emitting a
+ * malformed message. Methods that expand to several messages (bank select,
+ * RPN/NRPN) return them concatenated, which MIDIOutput.send() accepts as-is.
+ *
+ * Usage:
+ *   output.send(MidiEncoder.noteOn(0, 60, 100));
+ *   output.send(MidiEncoder.bankSelect(0, 0, 112));
+ *   output.send(MidiEncoder.rpn(0, MidiEncoder.RPN_PITCH_BEND_RANGE, 2 << 7));
+ */
+
+export const STATUS = {
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  POLY_PRESSURE: 0xA0,
+  CONTROL_CHANGE: 0xB0,
+  PROGRAM_CHANGE: 0xC0,
+  CHANNEL_PRESSURE: 0xD0,
+  PITCH_BEND: 0xE0
+};
+
+export const CC = {
+  BANK_SELECT_MSB: 0,
+  MODULATION: 1,
+  DATA_ENTRY_MSB: 6,
+  VOLUME: 7,
+  PAN: 10,
+  EXPRESSION: 11,
+  BANK_SELECT_LSB: 32,
+  DATA_ENTRY_LSB: 38,
+  SUSTAIN: 64,
+  SOSTENUTO: 66,
+  REVERB: 91,
+  CHORUS: 93,
+  NRPN_LSB: 98,
+  NRPN_MSB: 99,
+  RPN_LSB: 100,
+  RPN_MSB: 101,
+  ALL_SOUND_OFF: 120,
+  RESET_ALL_CONTROLLERS: 121,
+  ALL_NOTES_OFF: 123
+};
+
+export const PITCH_BEND_CENTER = 8192;
+
+function assertRange(name, value, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new RangeError(`${name} must be an integer 0-${max}, got ${value}`);
+  }
+}
+
+function assertChannel(channel) {
+  assertRange('channel', channel, 15);
+}
+
+function assert7Bit(name, value) {
+  assertRange(name, value, 0x7F);
+}
+
+function assert14Bit(name, value) {
+  assertRange(name, value, 0x3FFF);
+}
+
+export class MidiEncoder {
+  /**
+   * Note On. Velocity 0 is rejected because receivers treat it as Note Off;
+   * use noteOff() for that.
+   * @param {number} channel - 0-15
+   * @param {number} note - 0-127
+   * @param {number} velocity - 1-127
+   * @returns {number[]}
+   */
+  static noteOn(channel, note, velocity) {
+    assertChannel(channel);
+    assert7Bit('note', note);
+    assert7Bit('velocity', velocity);
+    if (velocity === 0) {
+      throw new RangeError('Note On velocity must be 1-127; use noteOff() to release');
+    }
+    return [STATUS.NOTE_ON | channel, note, velocity];
+  }
+
+  /**
+   * Note Off (explicit 0x8n status).
+   * @param {number} channel - 0-15
+   * @param {number} note - 0-127
+   * @param {number} velocity - Release velocity 0-127 (default 0)
+   * @returns {number[]}
+   */
+  static noteOff(channel, note, velocity = 0) {
+    assertChannel(channel);
+    assert7Bit('note', note);
+    assert7Bit('velocity', velocity);
+    return [STATUS.NOTE_OFF | channel, note, velocity];
+  }
+
+  /**
+   * Control Change.
+   * @param {number} channel - 0-15
+   * @param {number} controller - 0-127
+   * @param {number} value - 0-127
+   * @returns {number[]}
+   */
+  static controlChange(channel, controller, value) {
+    assertChannel(channel);
+    assert7Bit('controller', controller);
+    assert7Bit('value', value);
+    return [STATUS.CONTROL_CHANGE | channel, controller, value];
+  }
+
+  /**
+   * Program Change.
+   * @param {number} channel - 0-15
+   * @param {number} program - 0-127
+   * @returns {number[]}
+   */
+  static programChange(channel, program) {
+    assertChannel(channel);
+    assert7Bit('program', program);
+    return [STATUS.PROGRAM_CHANGE | channel, program];
+  }
+
+  /**
+   * Bank Select MSB (CC0) followed by LSB (CC32).
+   * @param {number} channel - 0-15
+   * @param {number} msb - 0-127
+   * @param {number} lsb - 0-127
+   * @returns {number[]}
+   */
+  static bankSelect(channel, msb, lsb) {
+    return [
+      ...MidiEncoder.controlChange(channel, CC.BANK_SELECT_MSB, msb),
+      ...MidiEncoder.controlChange(channel, CC.BANK_SELECT_LSB, lsb)
+    ];
+  }
+
+  /**
+   * Bank select plus program change, as sent when choosing a voice.
+   * @param {number} channel - 0-15
+   * @param {{msb: number, lsb: number, program: number}} voice
+   * @returns {number[]}
+   */
+  static voiceSelect(channel, { msb, lsb, program }) {
+    return [
+      ...MidiEncoder.bankSelect(channel, msb, lsb),
+      ...MidiEncoder.programChange(channel, program)
+    ];
+  }
+
+  /**
+   * Pitch Bend.
+   * @param {number} channel - 0-15
+   * @param {number} value - 14-bit value, 8192 = centre
+   * @returns {number[]}
+   */
+  static pitchBend(channel, value) {
+    assertChannel(channel);
+    assert14Bit('pitch bend', value);
+    return [STATUS.PITCH_BEND | channel, value & 0x7F, value >> 7];
+  }
+
+  /**
+   * Channel (mono) aftertouch.
+   * @param {number} channel - 0-15
+   * @param {number} pressure - 0-127
+   * @returns {number[]}
+   */
+  static channelPressure(channel, pressure) {
+    assertChannel(channel);
+    assert7Bit('pressure', pressure);
+    return [STATUS.CHANNEL_PRESSURE | channel, pressure];
+  }
+
+  /**
+   * Polyphonic (per-note) aftertouch.
+   * @param {number} channel - 0-15
+   * @param {number} note - 0-127
+   * @param {number} pressure - 0-127
+   * @returns {number[]}
+   */
+  static polyPressure(channel, note, pressure) {
+    assertChannel(channel);
+    assert7Bit('note', note);
+    assert7Bit('pressure', pressure);
+    return [STATUS.POLY_PRESSURE | channel, note, pressure];
+  }
+
+  /**
+   * Song Position Pointer (system common), for clock followers.
+   * @param {number} position - 14-bit position in MIDI beats (sixteenth notes)
+   * @returns {number[]}
+   */
+  static songPosition(position) {
+    assert14Bit('song position', position);
+    return [0xF2, position & 0x7F, position >> 7];
+  }
+
+  /**
+   * Registered Parameter Number write: select (CC101/100), data entry
+   * (CC6/38), then deselect with the null RPN so later data entry is ignored.
+   * @param {number} channel - 0-15
+   * @param {number} parameter - 14-bit parameter number
+   * @param {number} value - 14-bit value (MSB in the upper 7 bits)
+   * @returns {number[]}
+   */
+  static rpn(channel, parameter, value) {
+    return parameterWrite(channel, CC.RPN_MSB, CC.RPN_LSB, parameter, value);
+  }
+
+  /**
+   * Non-Registered Parameter Number write, same layout as rpn() on CC99/98.
+   * @param {number} channel - 0-15
+   * @param {number} parameter - 14-bit parameter number
+   * @param {number} value - 14-bit value
+   * @returns {number[]}
+   */
+  static nrpn(channel, parameter, value) {
+    return parameterWrite(channel, CC.NRPN_MSB, CC.NRPN_LSB, parameter, value);
+  }
+
+  /**
+   * Re-encode a message object produced by MidiDecoder. Real-time and
+   * system common messages other than SysEx are not supported.
+   * @param {object} msg
+   * @returns {number[]}
+   */
+  static fromMessage(msg) {
+    switch (msg.type) {
+      case 'noteOn': return MidiEncoder.noteOn(msg.channel, msg.note, msg.velocity);
+      case 'noteOff': return MidiEncoder.noteOff(msg.channel, msg.note, msg.velocity);
+      case 'polyPressure': return MidiEncoder.polyPressure(msg.channel, msg.note, msg.pressure);
+      case 'controlChange': return MidiEncoder.controlChange(msg.channel, msg.controller, msg.value);
+      case 'programChange': return MidiEncoder.programChange(msg.channel, msg.program);
+      case 'channelPressure': return MidiEncoder.channelPressure(msg.channel, msg.pressure);
+      case 'pitchBend': return MidiEncoder.pitchBend(msg.channel, msg.value);
+      case 'rpn': return MidiEncoder.rpn(msg.channel, msg.parameter, msg.value);
+      case 'nrpn': return MidiEncoder.nrpn(msg.channel, msg.parameter, msg.value);
+      case 'sysex': return [...msg.data];
+      default: throw new RangeError(`Cannot encode message type ${msg.type}`);
+    }
+  }
+
+  /**
+   * All Notes Off (CC123).
+   * @param {number} channel - 0-15
+   * @returns {number[]}
+   */
+  static allNotesOff(channel) {
+    return MidiEncoder.controlChange(channel, CC.ALL_NOTES_OFF, 0);
+  }
+
+  /**
+   * All Sound Off (CC120).
+   * @param {number} channel - 0-15
+   * @returns {number[]}
+   */
+  static allSoundOff(channel) {
+    return MidiEncoder.controlChange(channel, CC.ALL_SOUND_OFF, 0);
+  }
+
+  /**
+   * Reset All Controllers (CC121).
+   * @param {number} channel - 0-15
+   * @returns {number[]}
+   */
+  static resetAllControllers(channel) {
+    return MidiEncoder.controlChange(channel, CC.RESET_ALL_CONTROLLERS, 0);
+  }
+}
+
+MidiEncoder.RPN_PITCH_BEND_RANGE = 0x0000;
+MidiEncoder.RPN_FINE_TUNING = 0x0001;
+MidiEncoder.RPN_COARSE_TUNING = 0x0002;
+MidiEncoder.RPN_MPE_CONFIGURATION = 0x0006;
+MidiEncoder.RPN_NULL = 0x3FFF;
+
+function parameterWrite(channel, msbController, lsbController, parameter, value) {
+  assert14Bit('parameter', parameter);
+  assert14Bit('value', value);
+  return [
+    ...MidiEncoder.controlChange(channel, msbController, parameter >> 7),
+    ...MidiEncoder.controlChange(channel, lsbController, parameter & 0x7F),
+    ...MidiEncoder.controlChange(channel, CC.DATA_ENTRY_MSB, value >> 7),
+    ...MidiEncoder.controlChange(channel, CC.DATA_ENTRY_LSB, value & 0x7F),
+    ...MidiEncoder.controlChange(channel, CC.RPN_MSB, 0x7F),
+    ...MidiEncoder.controlChange(channel, CC.RPN_LSB, 0x7F)
+  ];
+}
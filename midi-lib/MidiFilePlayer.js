@@ -0,0 +1,317 @@
+/**
+ * MidiFilePlayer - Plays a parsed Standard MIDI File to a MIDI output.
+ *
+ * Events are scheduled a short lookahead ahead of time with timestamps passed
+ * to MIDIOutput.send(), so playback timing does not depend on how promptly
+ * the timer fires. Each track can be remapped to another channel, and the
+ * file's own bank/program changes can be dropped for a track when the page
+ * has already chosen a voice for it.
+ *
+ * Pausing or seeking silences every note the player started, dropping what
+ * the output still has queued if it can, and resuming from the middle of a
+ * file first re-sends the latest program, bank, controller and pitch bend
+ * state on each channel ("chasing").
+ *
+ * Usage:
+ *   const player = new MidiFilePlayer();
+ *   player.setOutput(currentOutput);
+ *   player.load(SmfReader.parse(buffer));
+ *   player.setTrackChannel(1, 0);
+ *   player.play();
+ */
+import { MidiEncoder, STATUS, CC } from './MidiEncoder.js';
+import { TempoMap } from './TempoMap.js';
+
+const UNCHASED_CCS = new Set([
+  CC.DATA_ENTRY_MSB, CC.DATA_ENTRY_LSB, CC.NRPN_LSB, CC.NRPN_MSB, CC.RPN_LSB, CC.RPN_MSB
+]);
+
+function trackChannels(track) {
+  return track.channel !== null ? [track.channel] : track.channels;
+}
+
+export class MidiFilePlayer {
+  /**
+   * @param {object} options
+   * @param {number} options.lookahead - Seconds scheduled ahead of playback position (default 0.1)
+   * @param {number} options.interval - Scheduler timer period in ms (default 25)
+   */
+  constructor({ lookahead = 0.1, interval = 25 } = {}) {
+    this.lookahead = lookahead;
+    this.interval = interval;
+    this.output = null;
+    this.tempoMap = null;
+    this.tracks = [];
+    this.timeline = [];
+    this.duration = 0;
+
+    this.cursor = 0;            // Next timeline index to schedule
+    this.startPosition = 0;     // Song position (s) when playback last started
+    this.startWall = 0;         // performance.now() at that moment
+    this.pausedPosition = 0;
+    this.timer = null;
+    this.sounding = new Map();  // "track:channel:note" -> count of unmatched note-ons
+    this.lastTimestamp = 0;     // Latest timestamp handed to output.send()
+
+    this.onposition = null;     // (seconds) => void, called from the timer
+    this.onended = null;
+  }
+
+  /**
+   * @param {{send: Function}|null} output - MIDIOutput or compatible object
+   */
+  setOutput(output) {
+    if (this.playing) {
+      // An unplugged port cannot be sent its note-offs; just forget them.
+      if (this.output?.state === 'disconnected') this.sounding.clear();
+      else this.silence();
+    }
+    this.output = output;
+  }
+
+  /**
+   * Load a file from SmfReader.parse(). Stops current playback.
+   * @param {object} smf
+   */
+  load(smf) {
+    this.stop();
+    this.tempoMap = new TempoMap(smf);
+    this.duration = 0;
+    this.tracks = smf.tracks.map(track => ({
+      name: track.name,
+      channels: [...new Set(track.events.filter(e => e.kind === 'channel').map(e => e.message.channel))],
+      channel: null,          // null = play on the recorded channel
+      overrideVoice: false,   // drop the file's bank/program changes
+      muted: false
+    }));
+
+    const timeline = [];
+    smf.tracks.forEach((track, trackIndex) => {
+      for (const ev of track.events) {
+        const time = this.tempoMap.tickToSeconds(ev.tick);
+        this.duration = Math.max(this.duration, time);
+        // SysEx needs sysex-enabled MIDI access; meta events are not sent.
+        if (ev.kind === 'channel') timeline.push({ time, trackIndex, data: ev.data, message: ev.message });
+      }
+    });
+    // Array.prototype.sort is stable, so same-time events keep track order.
+    timeline.sort((a, b) => a.time - b.time);
+    this.timeline = timeline;
+  }
+
+  /**
+   * @param {number} index - Track index
+   * @param {number|null} channel - 0-15, or null for the recorded channel
+   */
+  setTrackChannel(index, channel) {
+    // its notes end on the channel they started on
+    if (this.playing) this.silence({ track: index });
+    this.tracks[index].channel = channel;
+  }
+
+  /**
+   * @param {number} index - Track index
+   * @param {boolean} override - When true, bank select and program changes in the track are skipped
+   */
+  setTrackVoiceOverride(index, override) {
+    this.tracks[index].overrideVoice = override;
+  }
+
+  /**
+   * @param {number} index - Track index
+   * @param {boolean} muted
+   */
+  setTrackMuted(index, muted) {
+    this.tracks[index].muted = muted;
+    if (muted && this.playing) this.silence({ track: index });
+  }
+
+  /**
+   * Channels the output will receive, after remapping.
+   * @returns {number[]}
+   */
+  outputChannels() {
+    const channels = new Set();
+    this.tracks.forEach(track => {
+      if (!track.muted) trackChannels(track).forEach(c => channels.add(c));
+    });
+    return [...channels].sort((a, b) => a - b);
+  }
+
+  get playing() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Current song position in seconds.
+   * @returns {number}
+   */
+  get position() {
+    if (!this.playing) return this.pausedPosition;
+    return Math.min(this.duration, this.startPosition + Math.max(0, performance.now() - this.startWall) / 1000);
+  }
+
+  play() {
+    if (this.playing || !this.tempoMap) return;
+    if (this.pausedPosition >= this.duration) this.pausedPosition = 0;
+    this.startPosition = this.pausedPosition;
+    // after any note-offs still queued from the last pause
+    this.startWall = Math.max(performance.now(), this.lastTimestamp);
+    this.cursor = this.indexAt(this.startPosition);
+    if (this.startPosition > 0) this.chase(this.startPosition);
+    this.timer = setInterval(() => this.schedule(), this.interval);
+    this.schedule();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.pausedPosition = this.position;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.silence();
+  }
+
+  stop() {
+    this.pause();
+    this.pausedPosition = 0;
+    this.onposition?.(0);
+  }
+
+  /**
+   * Jump to a song position, keeping the play/pause state.
+   * @param {number} seconds
+   */
+  seek(seconds) {
+    const wasPlaying = this.playing;
+    this.pause();
+    this.pausedPosition = Math.max(0, Math.min(this.duration, seconds));
+    this.onposition?.(this.pausedPosition);
+    if (wasPlaying) this.play();
+  }
+
+  indexAt(seconds) {
+    let lo = 0, hi = this.timeline.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.timeline[mid].time < seconds) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Map a timeline event through the track settings.
+   * @returns {number[]|null} Bytes to send, or null when filtered out
+   */
+  route(ev) {
+    const track = this.tracks[ev.trackIndex];
+    if (track.muted) return null;
+    const msg = ev.message;
+    if (track.overrideVoice) {
+      if (msg.type === 'programChange') return null;
+      if (msg.type === 'controlChange' &&
+          (msg.controller === CC.BANK_SELECT_MSB || msg.controller === CC.BANK_SELECT_LSB)) return null;
+    }
+    if (track.channel === null) return ev.data;
+    return [(ev.data[0] & 0xF0) | track.channel, ...ev.data.slice(1)];
+  }
+
+  send(data, timestamp, trackIndex) {
+    const status = data[0] & 0xF0;
+    const key = `${trackIndex}:${data[0] & 0x0F}:${data[1]}`;
+    if (status === STATUS.NOTE_ON && data[2] > 0) {
+      this.sounding.set(key, (this.sounding.get(key) || 0) + 1);
+    } else if (status === STATUS.NOTE_OFF || status === STATUS.NOTE_ON) {
+      const count = this.sounding.get(key) || 0;
+      if (count <= 1) this.sounding.delete(key);
+      else this.sounding.set(key, count - 1);
+    }
+    this.lastTimestamp = Math.max(this.lastTimestamp, timestamp);
+    this.output?.send(data, timestamp);
+  }
+
+  schedule() {
+    const now = performance.now();
+    const position = this.startPosition + Math.max(0, now - this.startWall) / 1000;
+    const horizon = position + this.lookahead;
+
+    while (this.cursor < this.timeline.length && this.timeline[this.cursor].time <= horizon) {
+      const ev = this.timeline[this.cursor++];
+      const data = this.route(ev);
+      if (data) {
+        const timestamp = this.startWall + (ev.time - this.startPosition) * 1000;
+        this.send(data, Math.max(now, timestamp), ev.trackIndex);
+      }
+    }
+
+    this.onposition?.(Math.min(position, this.duration));
+    if (this.cursor >= this.timeline.length && position >= this.duration) {
+      this.pause();
+      this.pausedPosition = this.duration;
+      this.onended?.();
+    }
+  }
+
+  /**
+   * Release every note the player has started, or one track's. Events still
+   * waiting in an output that has clear() are dropped first, so the
+   * note-offs go out straight away. Events that stay scheduled, as they do
+   * for the other tracks when only one is released, get the note-offs
+   * stamped after them, so they cannot overtake a pending note-on, and
+   * play() waits for them before starting again. The sustain pedal is
+   * lifted only on channels no other track is playing on.
+   * @param {object} options
+   * @param {number} options.track - Only this track's notes (default all)
+   */
+  silence({ track } = {}) {
+    if (track === undefined && this.output?.clear) {
+      this.output.clear();
+      this.lastTimestamp = 0;
+    }
+    const timestamp = Math.max(performance.now(), this.lastTimestamp);
+    const channels = new Set();
+    for (const key of [...this.sounding.keys()]) {
+      const [index, channel, note] = key.split(':').map(Number);
+      if (track !== undefined && index !== track) continue;
+      channels.add(channel);
+      this.output?.send(MidiEncoder.noteOff(channel, note), timestamp);
+      this.sounding.delete(key);
+    }
+    if (track !== undefined) {
+      this.tracks.forEach((t, i) => {
+        if (i !== track && !t.muted) trackChannels(t).forEach(c => channels.delete(c));
+      });
+    }
+    channels.forEach(channel => {
+      this.output?.send(MidiEncoder.controlChange(channel, CC.SUSTAIN, 0), timestamp);
+    });
+  }
+
+  /**
+   * Re-send the controller state in effect at a song position. Bank select
+   * goes first and program change second so the voice is right before any
+   * other controller lands on it. RPN/NRPN and data entry are not chased.
+   * @param {number} seconds
+   */
+  chase(seconds) {
+    const state = new Map(); // "channel:kind" -> { rank, data }; later events overwrite earlier
+    const end = this.indexAt(seconds);
+    for (let i = 0; i < end; i++) {
+      const data = this.route(this.timeline[i]);
+      if (!data) continue;
+      const status = data[0] & 0xF0;
+      const channel = data[0] & 0x0F;
+      if (status === STATUS.CONTROL_CHANGE && data[1] < CC.ALL_SOUND_OFF && !UNCHASED_CCS.has(data[1])) {
+        const bank = data[1] === CC.BANK_SELECT_MSB || data[1] === CC.BANK_SELECT_LSB;
+        state.set(`${channel}:cc${data[1]}`, { rank: bank ? 0 : 2, data });
+      } else if (status === STATUS.PROGRAM_CHANGE) {
+        state.set(`${channel}:program`, { rank: 1, data });
+      } else if (status === STATUS.PITCH_BEND) {
+        state.set(`${channel}:bend`, { rank: 3, data });
+      }
+    }
+    [...state.values()]
+      .sort((a, b) => a.rank - b.rank)
+      .forEach(({ data }) => this.output?.send(data, this.startWall));
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * MidiInputManager - Selects one MIDI input and forwards its messages.
+ *
+ * The current input's onmidimessage is pointed at `onmessage` and cleared
+ * again when another input is chosen, so only one port ever feeds the page.
+ * An unplugged input leaves nothing selected (ondisconnect is the place to
+ * release notes it was holding) until the same device is plugged back in.
+ *
+ * Usage:
+ *   const inputs = new MidiInputManager();
+ *   inputs.onmessage = e => handle(e.data);
+ *   await inputs.init();
+ *   inputs.bindSelect(select, { placeholder: '(choose an input)' });
+ */
+import { MidiPortManager } from './MidiPortManager.js';
+
+export class MidiInputManager extends MidiPortManager {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key for the preferred port name
+   * @param {boolean} options.autoSelect - Select the first input when nothing is remembered (default false)
+   */
+  constructor({ storageKey = 'midiInputName', autoSelect = false } = {}) {
+    super({ storageKey });
+    this.autoSelect = autoSelect;
+    this.onmessage = null;  // (MIDIMessageEvent) => void
+    this.listener = e => this.onmessage?.(e);
+  }
+
+  get portType() {
+    return 'input';
+  }
+
+  defaultPort() {
+    return this.autoSelect ? super.defaultPort() : null;
+  }
+
+  attach(port) {
+    if (port) port.onmidimessage = this.listener;
+  }
+
+  detach(port) {
+    if (port && port.onmidimessage === this.listener) port.onmidimessage = null;
+  }
+}
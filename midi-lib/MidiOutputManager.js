@@ -0,0 +1,77 @@
+/**
+ * MidiOutputManager - The one object a page sends its MIDI through.
+ *
+ * Lists hardware MIDIOutput ports (when Web MIDI is available and permitted)
+ * followed by any virtual outputs the page registers, and tracks the chosen
+ * port in `current`. Anything with the MIDIOutput shape can be an output:
+ *
+ *   { id, name, send(data, timestamp?), clear?() }
+ *
+ * When the chosen hardware port is unplugged the first virtual output takes
+ * over; when it is plugged back in it is selected again and sent All Notes
+ * Off and Sustain Off on every channel, so notes that were held when the
+ * cable came out do not keep sounding.
+ *
+ * Usage:
+ *   const outputs = new MidiOutputManager({ virtualOutputs: [new VirtualSynthOutput()] });
+ *   await outputs.init();
+ *   outputs.bindSelect(midiOutSelect);
+ *   outputs.bindStatus(statusSpan);
+ *   outputs.onchange = output => { currentOutput = output; };
+ */
+import { MidiPortManager } from './MidiPortManager.js';
+import { MidiEncoder, CC } from './MidiEncoder.js';
+
+export class MidiOutputManager extends MidiPortManager {
+  /**
+   * @param {object} options
+   * @param {object[]} options.virtualOutputs - Software outputs listed after hardware ports
+   * @param {string} options.storageKey - localStorage key for the preferred port name
+   */
+  constructor({ virtualOutputs = [], storageKey = 'midiOutputName' } = {}) {
+    super({ storageKey });
+    this.virtualOutputs = virtualOutputs;
+  }
+
+  get portType() {
+    return 'output';
+  }
+
+  /**
+   * Hardware ports first, then virtual outputs.
+   * @returns {object[]}
+   */
+  ports() {
+    return [...this.hardwarePorts(), ...this.virtualOutputs];
+  }
+
+  fallbackPort() {
+    return this.virtualOutputs[0] || null;
+  }
+
+  reconnected(port) {
+    MidiOutputManager.releaseAll(port);
+  }
+
+  /**
+   * Send All Notes Off and Sustain Off on all 16 channels.
+   * @param {{send: Function}} output
+   */
+  static releaseAll(output) {
+    for (let channel = 0; channel < 16; channel++) {
+      output.send([
+        ...MidiEncoder.controlChange(channel, CC.SUSTAIN, 0),
+        ...MidiEncoder.allNotesOff(channel)
+      ]);
+    }
+  }
+
+  /**
+   * Send to the current output, if any.
+   * @param {ArrayLike<number>} data
+   * @param {number} timestamp - Optional performance.now()-based time
+   */
+  send(data, timestamp) {
+    this.current?.send(data, timestamp);
+  }
+}
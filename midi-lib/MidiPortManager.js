@@ -0,0 +1,271 @@
+/**
+ * MidiPortManager - Shared port selection and hot-plug handling.
+ *
+ * Subclasses pick which ports they list (MidiOutputManager, MidiInputManager).
+ * This base keeps a port <select> and a status indicator in sync with
+ * MIDIAccess 'statechange' events:
+ *
+ *   - the list is rebuilt whenever a port of this type appears or disappears
+ *   - if the current port disappears, ondisconnect fires and the manager
+ *     falls back (see fallbackPort()) while remembering the port's name
+ *   - when a port with that name comes back, even under a new id, it is
+ *     selected again and onreconnect fires
+ *
+ * The chosen port's name is also kept in localStorage under `storageKey`, so
+ * a reload reconnects to the same device when it is present.
+ */
+export class MidiPortManager {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key for the preferred port name (optional)
+   */
+  constructor({ storageKey = null } = {}) {
+    this.access = null;
+    this.current = null;
+    this.select = null;
+    this.placeholder = null;
+    this.statusElement = null;
+    this.storageKey = storageKey;
+    this.preferredName = storageKey ? localStorage.getItem(storageKey) : null;
+    this.error = null;        // Why hardware access is unavailable, if it is
+    this.sysex = false;       // Whether `access` was granted SysEx
+    this.stateListener = e => this.handleStateChange(e);
+
+    this.onchange = null;     // (port|null) => void, when the selected port changes
+    this.ondisconnect = null; // (port) => void, before falling back from a vanished port
+    this.onreconnect = null;  // (port) => void, after a remembered port is back
+  }
+
+  /** 'input' or 'output'; matches MIDIPort.type. */
+  get portType() {
+    throw new Error('portType must be implemented by subclass');
+  }
+
+  /**
+   * Request Web MIDI access and select the remembered port, else the default.
+   * Never rejects; without access only non-hardware ports are listed.
+   * @param {object} options
+   * @param {boolean} options.sysex - Request SysEx permission (default false)
+   * @returns {Promise<this>}
+   */
+  async init({ sysex = false } = {}) {
+    if (!navigator.requestMIDIAccess) {
+      this.error = new Error('Web MIDI is not supported by this browser');
+    } else {
+      try {
+        this.access = await navigator.requestMIDIAccess({ sysex });
+        this.access.addEventListener('statechange', this.stateListener);
+        this.sysex = sysex;
+      } catch (err) {
+        this.error = err;
+      }
+    }
+    if (this.error) {
+      console.warn(`MIDI ${this.portType}s unavailable:`, this.error);
+    }
+
+    const remembered = this.preferredName && this.hardwarePorts().find(p => p.name === this.preferredName);
+    this.setCurrent(remembered || this.defaultPort(), false);
+    return this;
+  }
+
+  /**
+   * Ask for Web MIDI access again, this time with SysEx, and carry on with
+   * the same port. Ports from the earlier access cannot send SysEx, so the
+   * current port is replaced by its SysEx-capable twin and onchange fires.
+   * @returns {Promise<boolean>} Whether SysEx can be sent now
+   */
+  async enableSysex() {
+    if (this.sysex) return true;
+    if (!navigator.requestMIDIAccess) return false;
+    let access;
+    try {
+      access = await navigator.requestMIDIAccess({ sysex: true });
+    } catch (err) {
+      console.warn('SysEx permission refused:', err);
+      return false;
+    }
+    this.access?.removeEventListener('statechange', this.stateListener);
+    this.access = access;
+    this.access.addEventListener('statechange', this.stateListener);
+    this.sysex = true;
+    this.error = null;
+
+    const previous = this.current;
+    if (previous && !previous.virtual) {
+      const twin = this.hardwarePorts().find(p => p.id === previous.id) || this.fallbackPort();
+      this.detach(previous);
+      this.current = null;
+      this.setCurrent(twin);
+    } else {
+      this.refresh();
+    }
+    return true;
+  }
+
+  /**
+   * Connected hardware ports of this manager's type.
+   * @returns {MIDIPort[]}
+   */
+  hardwarePorts() {
+    if (!this.access) return [];
+    const map = this.portType === 'input' ? this.access.inputs : this.access.outputs;
+    return [...map.values()].filter(p => p.state !== 'disconnected');
+  }
+
+  /**
+   * Everything that can be selected. Subclasses may append software ports.
+   * @returns {object[]}
+   */
+  ports() {
+    return this.hardwarePorts();
+  }
+
+  /** Port chosen when nothing is remembered. */
+  defaultPort() {
+    return this.ports()[0] || null;
+  }
+
+  /** Port used when the current one disappears. */
+  fallbackPort() {
+    return null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return this.ports().find(p => p.id === id) || null;
+  }
+
+  /**
+   * Select a port on the user's behalf and remember its name.
+   * @param {string} id
+   * @returns {object|null} The selected port
+   */
+  choose(id) {
+    const port = this.get(id);
+    this.preferredName = port && !port.virtual ? port.name : null;
+    if (this.storageKey) {
+      if (this.preferredName) localStorage.setItem(this.storageKey, this.preferredName);
+      else localStorage.removeItem(this.storageKey);
+    }
+    this.setCurrent(port);
+    return port;
+  }
+
+  /**
+   * Switch ports without touching the remembered name.
+   * @param {object|null} port
+   * @param {boolean} notify - Call onchange (default true)
+   */
+  setCurrent(port, notify = true) {
+    if (port === this.current) {
+      this.refresh();
+      return;
+    }
+    this.detach(this.current);
+    this.current = port;
+    this.attach(port);
+    if (port && !port.virtual && !this.preferredName) this.preferredName = port.name;
+    this.refresh();
+    if (notify) this.onchange?.(port);
+  }
+
+  /** Hook for subclasses: start using a port. */
+  attach(port) {}
+
+  /** Hook for subclasses: stop using a port. */
+  detach(port) {}
+
+  /** Hook for subclasses: a remembered port came back and is now current. */
+  reconnected(port) {}
+
+  handleStateChange(e) {
+    const port = e.port;
+    if (port.type !== this.portType) return;
+
+    if (port.state === 'disconnected') {
+      if (this.current && !this.current.virtual && this.current.id === port.id) {
+        const lost = this.current;
+        this.ondisconnect?.(lost);
+        this.setCurrent(this.fallbackPort());
+        return;
+      }
+    } else if (this.preferredName && port.name === this.preferredName &&
+               this.current?.name !== this.preferredName) {
+      this.setCurrent(port);
+      this.reconnected(port);
+      this.onreconnect?.(port);
+      return;
+    }
+    this.refresh();
+  }
+
+  /**
+   * Fill a port <select> and follow its changes.
+   * @param {HTMLSelectElement} select
+   * @param {object} options
+   * @param {string} options.placeholder - Label of an extra "no port" option (optional)
+   */
+  bindSelect(select, { placeholder = null } = {}) {
+    this.select = select;
+    this.placeholder = placeholder;
+    select.addEventListener('change', () => this.choose(select.value));
+    this.refresh();
+  }
+
+  /**
+   * Show connection state in an element. Its class becomes
+   * `midi-status <state>` with state one of connected, virtual, waiting, none.
+   * @param {HTMLElement} element
+   */
+  bindStatus(element) {
+    this.statusElement = element;
+    this.refresh();
+  }
+
+  /**
+   * @returns {{state: string, text: string}}
+   */
+  status() {
+    const current = this.current;
+    if (this.preferredName && current?.name !== this.preferredName) {
+      const using = current ? ` (using ${current.name})` : '';
+      return { state: 'waiting', text: `Waiting for ${this.preferredName}${using}` };
+    }
+    if (current?.virtual) {
+      const reason = this.error ? ' (Web MIDI unavailable)' : '';
+      return { state: 'virtual', text: `Virtual: ${current.name}${reason}` };
+    }
+    if (current) return { state: 'connected', text: `Connected: ${current.name}` };
+    if (this.error) return { state: 'none', text: 'MIDI unavailable' };
+    return { state: 'none', text: `No MIDI ${this.portType}` };
+  }
+
+  refresh() {
+    const select = this.select;
+    if (select) {
+      select.innerHTML = '';
+      if (this.placeholder !== null && this.placeholder !== undefined) {
+        const o = document.createElement('option');
+        o.value = '';
+        o.textContent = this.placeholder;
+        select.appendChild(o);
+      }
+      for (const port of this.ports()) {
+        const o = document.createElement('option');
+        o.value = port.id;
+        o.textContent = port.name;
+        select.appendChild(o);
+      }
+      select.value = this.current ? this.current.id : '';
+    }
+    if (this.statusElement) {
+      const { state, text } = this.status();
+      this.statusElement.className = `midi-status ${state}`;
+      this.statusElement.textContent = `${state === 'connected' || state === 'virtual' ? '●' : '○'} ${text}`;
+    }
+  }
+}
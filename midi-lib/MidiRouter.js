@@ -0,0 +1,308 @@
+/**
+ * MidiRouter - Forwards messages from MIDI inputs to outputs through a list of routes.
+ *
+ * Every route connects one input to one output, both by port name so a
+ * route survives unplugging and replugging, and reshapes what passes:
+ *
+ *   inChannel    - only this source channel (null = all)
+ *   outChannels  - send on these channels instead, several for a layer
+ *                  (empty = keep the source channel)
+ *   low / high   - note range, for keyboard splits
+ *   transpose    - semitones added to notes
+ *   velocityCurve / fixedVelocity - reshape note-on velocity
+ *   drop         - MESSAGE_FILTERS ids to block, e.g. ['aftertouch']
+ *
+ * Several routes may share an input, which is how splits and layers across
+ * outputs are built. System messages (clock, transport, SysEx) carry no
+ * channel and go to each of the input's outputs once, not once a route. A note-off always follows the path its note-on took,
+ * and setRoutes() releases every note still sounding through the old
+ * routes first, so editing a route never leaves a note hanging.
+ *
+ * Usage:
+ *   const router = new MidiRouter({ virtualOutputs: [new VirtualSynthOutput()] });
+ *   await router.init();
+ *   router.setRoutes([{ ...defaultRoute(), input: 'KeyStep', output: 'PSR', high: 59, outChannels: [1] }]);
+ */
+import { MidiDecoder } from './MidiDecoder.js';
+import { MidiEncoder, CC } from './MidiEncoder.js';
+import { VELOCITY_CURVES, shapeVelocity } from './VelocityShaper.js';
+
+export const MESSAGE_FILTERS = [
+  { id: 'notes', label: 'Notes', types: ['noteOn', 'noteOff'] },
+  { id: 'controlChange', label: 'Controllers', types: ['controlChange', 'rpn', 'nrpn'] },
+  { id: 'programChange', label: 'Program change', types: ['programChange'] },
+  { id: 'pitchBend', label: 'Pitch bend', types: ['pitchBend'] },
+  { id: 'aftertouch', label: 'Aftertouch', types: ['channelPressure', 'polyPressure'] },
+  { id: 'sysex', label: 'SysEx', types: ['sysex'] },
+  { id: 'system', label: 'Clock & system', types: ['clock', 'start', 'continue', 'stop', 'songPosition',
+                                                  'songSelect', 'tuneRequest', 'mtcQuarterFrame'] }
+];
+
+const SYSTEM_BYTES = { clock: 0xF8, start: 0xFA, continue: 0xFB, stop: 0xFC, tuneRequest: 0xF6 };
+// the decoder reports data entry as rpn/nrpn, which are sent on with their
+// selection; data entry it reports as a plain controller has no parameter
+const PARAMETER_CCS = new Set([CC.RPN_MSB, CC.RPN_LSB, CC.NRPN_MSB, CC.NRPN_LSB,
+                               CC.DATA_ENTRY_MSB, CC.DATA_ENTRY_LSB]);
+
+/** A route that passes everything through unchanged. */
+export function defaultRoute() {
+  return {
+    enabled: true, input: '', output: '',
+    inChannel: null, outChannels: [],
+    low: 0, high: 127, transpose: 0,
+    velocityCurve: 'linear', fixedVelocity: 100,
+    drop: []
+  };
+}
+
+function assertRange(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RangeError(`${name} must be ${min}-${max}, got ${value}`);
+  }
+}
+
+export class MidiRouter {
+  /**
+   * @param {object} options
+   * @param {object[]} options.virtualOutputs - Software outputs routes may send to
+   */
+  constructor({ virtualOutputs = [] } = {}) {
+    this.virtualOutputs = virtualOutputs;
+    this.access = null;
+    this.error = null;
+    this.sysex = false;         // Whether SysEx can be routed
+    this.routes = [];
+    this.decoders = new Map();  // input name -> MidiDecoder
+    this.sounding = new Map();  // "route:channel:note" -> [{ output, channel, note }]
+    this.selected = new Map();  // "output:channel" -> "rpn:parameter" last selected there
+    this.stateListener = () => {
+      this.attach();
+      this.onports?.();
+    };
+
+    this.onports = null;        // () => void, when ports appear or disappear
+    this.onactivity = null;     // (routeIndex) => void, when a route forwards something
+  }
+
+  /**
+   * Request Web MIDI access and start listening to every input. If SysEx
+   * permission is refused, access without it is requested instead.
+   * Never rejects; without access only virtual outputs are available.
+   * @param {object} options
+   * @param {boolean} options.sysex - Request SysEx permission, needed to route SysEx (default false)
+   * @returns {Promise<this>}
+   */
+  async init({ sysex = false } = {}) {
+    if (!navigator.requestMIDIAccess) {
+      this.error = new Error('Web MIDI is not supported by this browser');
+    } else {
+      for (const withSysex of sysex ? [true, false] : [false]) {
+        try {
+          this.access = await navigator.requestMIDIAccess({ sysex: withSysex });
+          this.access.addEventListener('statechange', this.stateListener);
+          this.sysex = withSysex;
+          this.error = null;
+          break;
+        } catch (err) {
+          this.error = err;
+        }
+      }
+    }
+    if (this.error) console.warn('MIDI routing unavailable:', this.error);
+    this.attach();
+    return this;
+  }
+
+  /** @returns {MIDIInput[]} Connected inputs */
+  inputs() {
+    if (!this.access) return [];
+    return [...this.access.inputs.values()].filter(p => p.state !== 'disconnected');
+  }
+
+  /** @returns {object[]} Connected hardware outputs, then virtual outputs */
+  outputs() {
+    const hardware = this.access ? [...this.access.outputs.values()].filter(p => p.state !== 'disconnected') : [];
+    return [...hardware, ...this.virtualOutputs];
+  }
+
+  attach() {
+    this.inputs().forEach(port => {
+      port.onmidimessage = e => this.receive(port.name, e.data);
+    });
+  }
+
+  /**
+   * Check and normalise a route.
+   * @param {object} route
+   * @returns {object} A complete route
+   */
+  static validate(route) {
+    const r = { ...defaultRoute(), ...route };
+    if (r.inChannel !== null) assertRange('inChannel', r.inChannel, 0, 15);
+    if (!Array.isArray(r.outChannels)) throw new RangeError('outChannels must be a list');
+    r.outChannels.forEach(c => assertRange('output channel', c, 0, 15));
+    assertRange('low', r.low, 0, 127);
+    assertRange('high', r.high, 0, 127);
+    if (r.low > r.high) throw new RangeError(`Note range ${r.low}-${r.high} is empty`);
+    assertRange('transpose', r.transpose, -48, 48);
+    if (!VELOCITY_CURVES.some(c => c.id === r.velocityCurve)) {
+      throw new RangeError(`Unknown velocity curve: ${r.velocityCurve}`);
+    }
+    assertRange('fixedVelocity', r.fixedVelocity, 1, 127);
+    const unknown = r.drop.find(id => !MESSAGE_FILTERS.some(f => f.id === id));
+    if (unknown) throw new RangeError(`Unknown message filter: ${unknown}`);
+    return r;
+  }
+
+  /**
+   * Replace the routes, releasing notes held through the old ones.
+   * @param {object[]} routes
+   */
+  setRoutes(routes) {
+    const checked = routes.map(r => MidiRouter.validate(r));
+    this.release();
+    this.selected.clear();
+    this.routes = checked;
+  }
+
+  /** Send note-offs for every note still sounding through a route. */
+  release() {
+    for (const targets of this.sounding.values()) {
+      targets.forEach(({ output, channel, note }) => this.send(output, MidiEncoder.noteOff(channel, note)));
+    }
+    this.sounding.clear();
+  }
+
+  /**
+   * Handle bytes from an input.
+   * @param {string} inputName
+   * @param {ArrayLike<number>} data
+   */
+  receive(inputName, data) {
+    let decoder = this.decoders.get(inputName);
+    if (!decoder) this.decoders.set(inputName, decoder = new MidiDecoder());
+    for (const msg of decoder.decode(data)) {
+      if (msg.channel === undefined) {
+        this.forwardSystem(inputName, msg);
+        continue;
+      }
+      this.routes.forEach((route, index) => {
+        if (!route.enabled || route.input !== inputName) return;
+        const out = this.translate(route, index, msg);
+        if (!out.length) return;
+        out.forEach(bytes => this.send(route.output, bytes));
+        this.onactivity?.(index);
+      });
+    }
+  }
+
+  /**
+   * Send a system message on to each output the input is routed to, once,
+   * however many splits or layers lead there, so clocks don't run double
+   * and SysEx isn't repeated. Only the routes' drop lists apply.
+   * @param {string} inputName
+   * @param {object} msg - From MidiDecoder, without a channel
+   */
+  forwardSystem(inputName, msg) {
+    const filter = MESSAGE_FILTERS.find(f => f.types.includes(msg.type));
+    if (!filter) return;
+    const sent = new Set();
+    this.routes.forEach((route, index) => {
+      if (!route.enabled || route.input !== inputName || route.drop.includes(filter.id)) return;
+      if (!sent.has(route.output)) {
+        sent.add(route.output);
+        this.send(route.output, MidiRouter.systemBytes(msg));
+      }
+      this.onactivity?.(index);
+    });
+  }
+
+  /**
+   * @param {object} msg - A system message from MidiDecoder
+   * @returns {number[]} Its bytes
+   */
+  static systemBytes(msg) {
+    if (msg.type === 'sysex') return [...msg.data];
+    if (msg.type === 'songPosition') return MidiEncoder.songPosition(msg.position);
+    if (msg.type === 'songSelect') return [0xF3, msg.song];
+    if (msg.type === 'mtcQuarterFrame') return [0xF1, msg.value];
+    return [SYSTEM_BYTES[msg.type]];
+  }
+
+  /**
+   * What one route makes of one channel message.
+   * @param {object} route
+   * @param {number} index - Route index, for note tracking
+   * @param {object} msg - From MidiDecoder
+   * @returns {number[][]} Messages to send to the route's output
+   */
+  translate(route, index, msg) {
+    const filter = MESSAGE_FILTERS.find(f => f.types.includes(msg.type));
+    if (!filter || route.drop.includes(filter.id)) return [];
+
+    if (route.inChannel !== null && msg.channel !== route.inChannel) return [];
+    const channels = route.outChannels.length ? route.outChannels : [msg.channel];
+
+    if (msg.type === 'noteOff') {
+      const key = `${index}:${msg.channel}:${msg.note}`;
+      const targets = this.sounding.get(key) || [];
+      this.sounding.delete(key);
+      return targets.map(t => MidiEncoder.noteOff(t.channel, t.note, msg.velocity));
+    }
+    if (msg.type === 'noteOn' || msg.type === 'polyPressure') {
+      if (msg.note < route.low || msg.note > route.high) return [];
+      const note = msg.note + route.transpose;
+      if (note < 0 || note > 127) return [];
+      if (msg.type === 'polyPressure') {
+        return channels.map(channel => MidiEncoder.polyPressure(channel, note, msg.pressure));
+      }
+      const key = `${index}:${msg.channel}:${msg.note}`;
+      // a repeated note-on without a note-off in between
+      const out = (this.sounding.get(key) || []).map(t => MidiEncoder.noteOff(t.channel, t.note));
+      this.sounding.set(key, channels.map(channel => ({ output: route.output, channel, note })));
+      const velocity = shapeVelocity(msg.velocity, route.velocityCurve, route.fixedVelocity);
+      return [...out, ...channels.map(channel => MidiEncoder.noteOn(channel, note, velocity))];
+    }
+    if (msg.type === 'rpn' || msg.type === 'nrpn') {
+      return channels.flatMap(channel => this.dataEntry(route.output, channel, msg));
+    }
+    if (msg.type === 'controlChange' && PARAMETER_CCS.has(msg.controller)) return [];
+    return channels.map(channel => MidiEncoder.fromMessage({ ...msg, channel }));
+  }
+
+  /**
+   * One data entry byte as it arrived, after selecting its parameter if the
+   * output's channel has another one selected. An LSB arriving for a new
+   * selection brings its MSB along, since the receiver has not seen it.
+   * @returns {number[][]}
+   */
+  dataEntry(outputName, channel, msg) {
+    const key = `${outputName}:${channel}`;
+    const selection = `${msg.type}:${msg.parameter}`;
+    const out = [];
+    const lsb = msg.controller === CC.DATA_ENTRY_LSB;
+    if (this.selected.get(key) !== selection) {
+      this.selected.set(key, selection);
+      const [msbSelect, lsbSelect] = msg.type === 'rpn' ? [CC.RPN_MSB, CC.RPN_LSB] : [CC.NRPN_MSB, CC.NRPN_LSB];
+      out.push(MidiEncoder.controlChange(channel, msbSelect, msg.parameter >> 7),
+               MidiEncoder.controlChange(channel, lsbSelect, msg.parameter & 0x7F));
+      if (lsb) out.push(MidiEncoder.controlChange(channel, CC.DATA_ENTRY_MSB, msg.value >> 7));
+    }
+    out.push(MidiEncoder.controlChange(channel, msg.controller, lsb ? msg.value & 0x7F : msg.value >> 7));
+    return out;
+  }
+
+  /**
+   * @param {string} outputName
+   * @param {number[]} data
+   */
+  send(outputName, data) {
+    const output = this.outputs().find(p => p.name === outputName);
+    try {
+      output?.send(data);
+    } catch (err) {
+      // SysEx without permission, or a port that just went away
+      console.warn(`Could not send to ${outputName}:`, err);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * MidiTuning - Getting microtonal pitches out of 12-key MIDI.
+ *
+ * Two ways, both working from pitches in cents above MIDI note 0:
+ *
+ *   - pitch bend: play the nearest key and bend it by the remainder. The
+ *     bend is per channel, so it is only per note with one note per channel
+ *     (MPE member rotation), and it must use the receiver's bend range.
+ *   - MIDI Tuning Standard: retune the keys themselves with a real-time
+ *     Single Note Tuning Change SysEx, then play them normally. Each pitch
+ *     needs its own key, so keys() can hand out unique ones.
+ *
+ * Usage:
+ *   const keys = MidiTuning.keys(layout.pitches(), { unique: true });
+ *   output.send(MidiTuning.noteTuningChange(keys));
+ *   output.send(MidiEncoder.pitchBend(ch, MidiTuning.bendFor(keys[0].detune, 2)));
+ */
+import { PITCH_BEND_CENTER } from './MidiEncoder.js';
+
+export class MidiTuning {
+  /**
+   * Map pitches to MIDI keys.
+   * @param {number[]} pitches - Cents above MIDI note 0
+   * @param {object} options
+   * @param {boolean} options.unique - Give every pitch a different key (default false)
+   * @returns {{key: number, pitch: number, detune: number}[]} detune = pitch - key * 100
+   */
+  static keys(pitches, { unique = false } = {}) {
+    const used = new Set();
+    return pitches.map(pitch => {
+      const nearest = Math.max(0, Math.min(127, Math.round(pitch / 100)));
+      let key = nearest;
+      if (unique) {
+        // closest free key, trying the side the pitch leans to first
+        const lean = pitch >= nearest * 100 ? 1 : -1;
+        for (let d = 0; d < 128 && used.has(key); d++) {
+          for (const k of [nearest + lean * (d + 1), nearest - lean * (d + 1)]) {
+            if (k >= 0 && k <= 127 && !used.has(k)) { key = k; break; }
+          }
+        }
+        used.add(key);
+      }
+      return { key, pitch, detune: pitch - key * 100 };
+    });
+  }
+
+  /**
+   * 14-bit pitch bend that shifts a note by `detune` cents.
+   * @param {number} detune - Cents
+   * @param {number} range - Receiver's bend range in semitones
+   * @returns {number}
+   */
+  static bendFor(detune, range) {
+    const value = Math.round(PITCH_BEND_CENTER + (detune / (range * 100)) * 8192);
+    return Math.max(0, Math.min(16383, value));
+  }
+
+  /**
+   * Real-time Single Note Tuning Change (F0 7F dev 08 02 ...), split into
+   * messages of at most 127 keys.
+   * @param {{key: number, pitch: number}[]} tunings
+   * @param {object} options
+   * @param {number} options.deviceId - 0-127, 0x7F = all devices (default 0x7F)
+   * @param {number} options.program - Tuning program 0-127 (default 0)
+   * @returns {number[]}
+   */
+  static noteTuningChange(tunings, { deviceId = 0x7F, program = 0 } = {}) {
+    const data = [];
+    for (let i = 0; i < tunings.length; i += 127) {
+      const chunk = tunings.slice(i, i + 127);
+      data.push(0xF0, 0x7F, deviceId, 0x08, 0x02, program, chunk.length);
+      for (const { key, pitch } of chunk) {
+        const clamped = Math.max(0, Math.min(12799, pitch));
+        let semitone = Math.floor(clamped / 100);
+        let fraction = Math.round(((clamped - semitone * 100) / 100) * 16384);
+        if (fraction > 16383) { semitone++; fraction = 0; }
+        if (semitone > 127) { semitone = 127; fraction = 0x3FFE; }  // 7F 7F 7F means "no change"
+        data.push(key, semitone, fraction >> 7, fraction & 0x7F);
+      }
+      data.push(0xF7);
+    }
+    return data;
+  }
+
+  /**
+   * Tune keys back to 12-TET.
+   * @param {number[]} keys
+   * @param {object} options - As for noteTuningChange()
+   * @returns {number[]}
+   */
+  static resetKeys(keys, options) {
+    return MidiTuning.noteTuningChange(keys.map(key => ({ key, pitch: key * 100 })), options);
+  }
+}
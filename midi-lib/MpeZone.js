@@ -0,0 +1,101 @@
+/**
+ * MpeZone - MIDI Polyphonic Expression zone setup and member channel rotation.
+ *
+ * A lower zone is managed on channel 1 with members on 2, 3, ...; an upper
+ * zone is managed on channel 16 with members on 15, 14, .... configure()
+ * returns the MPE Configuration Message (RPN 6 on the manager channel)
+ * followed by the pitch bend range of every member channel.
+ *
+ * allocate() gives each new touch its own member channel, so pitch bend,
+ * CC74 and channel pressure on that channel shape only that note. Free
+ * channels are reused least recently released first; when every member is
+ * busy the channel held longest is shared.
+ *
+ * Usage:
+ *   const mpe = new MpeZone({ zone: 'lower', memberCount: 15 });
+ *   output.send(mpe.configure());
+ *   const channel = mpe.allocate(pointerId);
+ *   ...
+ *   mpe.free(pointerId);
+ */
+import { MidiEncoder } from './MidiEncoder.js';
+
+export class MpeZone {
+  /**
+   * @param {object} options
+   * @param {string} options.zone - 'lower' or 'upper' (default 'lower')
+   * @param {number} options.memberCount - Member channels, 1-15 (default 15)
+   * @param {number} options.pitchBendRange - Member pitch bend range in semitones, 0-96 (default 48)
+   */
+  constructor({ zone = 'lower', memberCount = 15, pitchBendRange = 48 } = {}) {
+    if (zone !== 'lower' && zone !== 'upper') throw new RangeError(`zone must be 'lower' or 'upper', got ${zone}`);
+    if (!Number.isInteger(memberCount) || memberCount < 1 || memberCount > 15) {
+      throw new RangeError(`memberCount must be 1-15, got ${memberCount}`);
+    }
+    if (!Number.isInteger(pitchBendRange) || pitchBendRange < 0 || pitchBendRange > 96) {
+      throw new RangeError(`pitchBendRange must be 0-96, got ${pitchBendRange}`);
+    }
+    this.zone = zone;
+    this.memberCount = memberCount;
+    this.pitchBendRange = pitchBendRange;
+    this.reset();
+  }
+
+  get managerChannel() {
+    return this.zone === 'lower' ? 0 : 15;
+  }
+
+  /** @returns {number[]} 0-based member channels, nearest the manager first */
+  get memberChannels() {
+    const step = this.zone === 'lower' ? 1 : -1;
+    return Array.from({ length: this.memberCount }, (_, i) => this.managerChannel + step * (i + 1));
+  }
+
+  /** @returns {number[]} MCM plus member pitch bend ranges */
+  configure() {
+    const data = MidiEncoder.rpn(this.managerChannel, MidiEncoder.RPN_MPE_CONFIGURATION, this.memberCount << 7);
+    for (const channel of this.memberChannels) {
+      data.push(...MidiEncoder.rpn(channel, MidiEncoder.RPN_PITCH_BEND_RANGE, this.pitchBendRange << 7));
+    }
+    return data;
+  }
+
+  /** @returns {number[]} MCM with no members, which turns the zone off */
+  release() {
+    return MidiEncoder.rpn(this.managerChannel, MidiEncoder.RPN_MPE_CONFIGURATION, 0);
+  }
+
+  /** Forget all allocations. */
+  reset() {
+    this.owners = new Map();    // id -> channel
+    this.lastUsed = new Map();  // channel -> counter when allocated or freed
+    this.counter = 0;
+  }
+
+  /**
+   * @param {*} id - e.g. a pointer id
+   * @returns {number} Member channel for that touch
+   */
+  allocate(id) {
+    if (this.owners.has(id)) return this.owners.get(id);
+    const busy = new Set(this.owners.values());
+    const age = channel => this.lastUsed.get(channel) ?? -1;
+    const byAge = [...this.memberChannels].sort((a, b) => age(a) - age(b));
+    const channel = byAge.find(c => !busy.has(c)) ?? byAge[0];
+    this.owners.set(id, channel);
+    this.lastUsed.set(channel, ++this.counter);
+    return channel;
+  }
+
+  /**
+   * @param {*} id
+   * @returns {number|null} The channel the touch had
+   */
+  free(id) {
+    const channel = this.owners.get(id);
+    if (channel === undefined) return null;
+    this.owners.delete(id);
+    this.lastUsed.set(channel, ++this.counter);
+    return channel;
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * NoteTracker - Remembers which notes are held on each output and channel.
+ *
+ * Pages pass every message they send to track(), alongside the output it
+ * went to; note-ons are remembered until their note-off. release() then
+ * ends everything still held on an output: any messages scheduled ahead
+ * are dropped, held notes get their note-offs, and All Sound Off (CC120)
+ * and All Notes Off (CC123) go to every channel for notes played by
+ * anything else. panic() does the same and adds Reset All Controllers
+ * (CC121), which also lifts sustain.
+ *
+ * release() is meant for the automatic cleanups (switching outputs, hiding
+ * or leaving the page), where the controllers a page has set, such as
+ * expression or modulation, should survive; panic() is for the button.
+ *
+ * Usage:
+ *   const notes = new NoteTracker();
+ *   function sendMidi(data, timestamp) {
+ *     output.send(data, timestamp);
+ *     notes.track(output, data);
+ *   }
+ *   panicBtn.onclick = () => notes.panic(output);
+ */
+import { MidiDecoder } from './MidiDecoder.js';
+import { MidiEncoder, CC } from './MidiEncoder.js';
+
+export class NoteTracker {
+  constructor() {
+    this.ports = new Map();   // output id -> { decoder, held: Map<channel, Set<note>> }
+  }
+
+  portState(output) {
+    const id = output.id ?? output.name;
+    let state = this.ports.get(id);
+    if (!state) this.ports.set(id, state = { decoder: new MidiDecoder(), held: new Map() });
+    return state;
+  }
+
+  /**
+   * Note what a message does to the held notes.
+   * @param {object} output - Where it was sent; null is ignored
+   * @param {ArrayLike<number>} data
+   */
+  track(output, data) {
+    if (!output) return;
+    const { decoder, held } = this.portState(output);
+    for (const msg of decoder.decode(data)) {
+      if (msg.type === 'noteOn') {
+        if (!held.has(msg.channel)) held.set(msg.channel, new Set());
+        held.get(msg.channel).add(msg.note);
+      } else if (msg.type === 'noteOff') {
+        held.get(msg.channel)?.delete(msg.note);
+      } else if (msg.type === 'controlChange' &&
+                 (msg.controller === CC.ALL_NOTES_OFF || msg.controller === CC.ALL_SOUND_OFF)) {
+        held.delete(msg.channel);
+      }
+    }
+  }
+
+  /**
+   * @param {object} output
+   * @returns {{channel: number, note: number}[]} Notes held on that output
+   */
+  held(output) {
+    const state = output && this.ports.get(output.id ?? output.name);
+    if (!state) return [];
+    return [...state.held].flatMap(([channel, notes]) => [...notes].map(note => ({ channel, note })));
+  }
+
+  /**
+   * End every note on an output; see the class comment.
+   * @param {object} output - null is ignored
+   * @param {object} options
+   * @param {boolean} options.resetControllers - Also send Reset All Controllers (default false)
+   */
+  release(output, { resetControllers = false } = {}) {
+    if (!output) return;
+    const data = this.held(output).flatMap(({ channel, note }) => MidiEncoder.noteOff(channel, note));
+    for (let channel = 0; channel < 16; channel++) {
+      data.push(...MidiEncoder.controlChange(channel, CC.ALL_SOUND_OFF, 0),
+                ...MidiEncoder.controlChange(channel, CC.ALL_NOTES_OFF, 0));
+      if (resetControllers) data.push(...MidiEncoder.controlChange(channel, CC.RESET_ALL_CONTROLLERS, 0));
+    }
+    try {
+      output.clear?.();
+      output.send(data);
+    } catch (err) {
+      // the port may be going away
+      console.warn(`Could not release notes on ${output.name}:`, err);
+    }
+    this.forget(output);
+  }
+
+  /**
+   * release() plus Reset All Controllers.
+   * @param {object} output
+   */
+  panic(output) {
+    this.release(output, { resetControllers: true });
+  }
+
+  /**
+   * Drop what is known about an output, e.g. one that was unplugged.
+   * @param {object} output
+   */
+  forget(output) {
+    if (output) this.ports.delete(output.id ?? output.name);
+  }
+}
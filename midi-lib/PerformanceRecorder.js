@@ -0,0 +1,143 @@
+/**
+ * PerformanceRecorder - Captures outgoing MIDI with timestamps.
+ *
+ * Pages hand every message they send to capture(); while recording, note
+ * on/off, program change and bank select messages are kept with their time
+ * relative to start(). A take can then be paired into notes for display or
+ * written out as a Standard MIDI File.
+ *
+ * Usage:
+ *   const recorder = new PerformanceRecorder();
+ *   recorder.start();
+ *   output.send(bytes); recorder.capture(bytes);
+ *   recorder.stop();
+ *   download(recorder.toMidiFile({ bpm: 120 }));
+ */
+import { MidiDecoder } from './MidiDecoder.js';
+import { MidiEncoder, CC } from './MidiEncoder.js';
+import { SmfWriter } from './SmfWriter.js';
+
+function isRecorded(msg) {
+  switch (msg.type) {
+    case 'noteOn':
+    case 'noteOff':
+    case 'programChange':
+      return true;
+    case 'controlChange':
+      return msg.controller === CC.BANK_SELECT_MSB || msg.controller === CC.BANK_SELECT_LSB;
+    default:
+      return false;
+  }
+}
+
+export class PerformanceRecorder {
+  constructor() {
+    this.events = [];       // { time (ms since start), message }
+    this.recording = false;
+    this.startTime = 0;
+    this.stopTime = 0;
+    this.decoder = new MidiDecoder();
+  }
+
+  /**
+   * Begin a new take, discarding the previous one.
+   */
+  start() {
+    this.events = [];
+    this.decoder.reset();
+    this.startTime = performance.now();
+    this.recording = true;
+  }
+
+  /**
+   * End the take. Notes still held are closed at the stop time.
+   */
+  stop() {
+    if (!this.recording) return;
+    this.stopTime = performance.now();
+    this.recording = false;
+    for (const note of this.notes()) {
+      if (note.open) {
+        this.events.push({
+          time: this.stopTime - this.startTime,
+          message: { type: 'noteOff', channel: note.channel, note: note.note, velocity: 0 }
+        });
+      }
+    }
+  }
+
+  clear() {
+    this.stop();
+    this.events = [];
+    this.stopTime = this.startTime;
+  }
+
+  /**
+   * Record a message that was just sent. Ignored when not recording.
+   * @param {ArrayLike<number>} data - Raw bytes, possibly several messages
+   * @param {number} timestamp - performance.now()-based send time (default now)
+   */
+  capture(data, timestamp = performance.now()) {
+    if (!this.recording) return;
+    const time = Math.max(0, timestamp - this.startTime);
+    for (const message of this.decoder.decode(data)) {
+      if (isRecorded(message)) this.events.push({ time, message });
+    }
+  }
+
+  /**
+   * Length of the take in milliseconds.
+   * @returns {number}
+   */
+  get duration() {
+    const end = this.recording ? performance.now() : this.stopTime;
+    return Math.max(0, end - this.startTime);
+  }
+
+  /**
+   * Pair note-ons with their note-offs.
+   * @returns {{channel: number, note: number, velocity: number, start: number, end: number, open: boolean}[]}
+   *   Times in ms; `open` notes have not been released yet and end at the current duration.
+   */
+  notes() {
+    const held = new Map();  // "channel:note" -> stack of open notes
+    const notes = [];
+    const sorted = [...this.events].sort((a, b) => a.time - b.time);
+    for (const { time, message } of sorted) {
+      const key = `${message.channel}:${message.note}`;
+      if (message.type === 'noteOn') {
+        const note = { channel: message.channel, note: message.note, velocity: message.velocity,
+                       start: time, end: null, open: true };
+        notes.push(note);
+        if (!held.has(key)) held.set(key, []);
+        held.get(key).push(note);
+      } else if (message.type === 'noteOff') {
+        const note = held.get(key)?.shift();
+        if (note) {
+          note.end = time;
+          note.open = false;
+        }
+      }
+    }
+    const duration = this.duration;
+    notes.forEach(n => { if (n.open) n.end = duration; });
+    return notes;
+  }
+
+  /**
+   * Write the take as a format 0 Standard MIDI File.
+   * @param {object} options
+   * @param {number} options.bpm - Tempo used to convert ms to ticks (default 120)
+   * @param {number} options.ticksPerBeat - (default 480)
+   * @param {string} options.name - Track name
+   * @returns {Uint8Array}
+   */
+  toMidiFile({ bpm = 120, ticksPerBeat = 480, name = 'Performance' } = {}) {
+    const ticksPerMs = (bpm / 60000) * ticksPerBeat;
+    const events = this.events.map(({ time, message }) => ({
+      tick: time * ticksPerMs,
+      data: MidiEncoder.fromMessage(message)
+    }));
+    return SmfWriter.write({ ticksPerBeat, bpm, tracks: [{ name, events }] });
+  }
+}
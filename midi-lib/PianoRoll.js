@@ -0,0 +1,77 @@
+/**
+ * PianoRoll - Draws recorded notes on a canvas for review.
+ *
+ * Time runs left to right over the whole take, pitch bottom to top over the
+ * range of notes actually played (at least one octave). Note colour follows
+ * the pitch class using the same palette as the strum pages, and opacity
+ * follows velocity.
+ *
+ * Usage:
+ *   const roll = new PianoRoll(canvas, NOTE_COLORS);
+ *   roll.draw(recorder.notes(), recorder.duration);
+ */
+export class PianoRoll {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object<number, string>} colors - Pitch class (0-11) to CSS colour
+   */
+  constructor(canvas, colors = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.colors = colors;
+  }
+
+  /**
+   * @param {{note: number, velocity: number, start: number, end: number}[]} notes - Times in ms
+   * @param {number} duration - Length of the take in ms
+   */
+  draw(notes, duration) {
+    const { canvas, ctx } = this;
+    const w = canvas.width, h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, 0, w, h);
+    if (!notes.length || duration <= 0) return;
+
+    let low = Math.min(...notes.map(n => n.note));
+    let high = Math.max(...notes.map(n => n.note));
+    if (high - low < 12) {
+      const pad = Math.ceil((12 - (high - low)) / 2);
+      low -= pad;
+      high += pad;
+    }
+    const rows = high - low + 1;
+    const rowH = h / rows;
+    const xScale = w / duration;
+
+    // Octave lines on every C
+    ctx.strokeStyle = '#444';
+    for (let n = low; n <= high; n++) {
+      if (n % 12 !== 0) continue;
+      const y = h - (n - low + 1) * rowH;
+      ctx.beginPath();
+      ctx.moveTo(0, y + rowH);
+      ctx.lineTo(w, y + rowH);
+      ctx.stroke();
+    }
+
+    // Second markers
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+    for (let t = 0; t < duration; t += 1000) {
+      const x = t * xScale;
+      ctx.fillRect(x, 0, 1, 4);
+      ctx.fillText(`${t / 1000}s`, x + 2, 2);
+    }
+
+    for (const n of notes) {
+      const x = n.start * xScale;
+      const y = h - (n.note - low + 1) * rowH;
+      ctx.globalAlpha = 0.35 + 0.65 * (n.velocity / 127);
+      ctx.fillStyle = this.colors[n.note % 12] || '#ccc';
+      ctx.fillRect(x, y, Math.max(2, (n.end - n.start) * xScale), Math.max(1, rowH - 1));
+    }
+    ctx.globalAlpha = 1;
+  }
+}
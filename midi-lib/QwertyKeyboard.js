@@ -0,0 +1,158 @@
+/**
+ * QwertyKeyboard - Plays notes from the computer keyboard.
+ *
+ * Two rows make an octave and a half of piano: the home row A S D F G H J
+ * K L ; ' holds the white keys from C, and W E T Y U O P above it the
+ * black keys. Z and X shift the octave, C and V step the velocity, and
+ * the space bar is the sustain pedal. Keys are matched by position
+ * (KeyboardEvent.code), so other keyboard layouts play the same shape.
+ *
+ * Keys typed into text fields and shortcuts with Ctrl, Alt or Cmd are left
+ * alone. A key keeps the note it started when the octave changes, and
+ * everything is let go when the window loses focus, since the key-ups
+ * would go elsewhere.
+ *
+ * Usage:
+ *   const qwerty = new QwertyKeyboard();
+ *   qwerty.onnoteon = (note, velocity) => sendNoteOn(note, velocity);
+ *   qwerty.onnoteoff = note => sendNoteOff(note);
+ *   qwerty.onsustain = down => sendMidi(MidiEncoder.controlChange(chan, CC.SUSTAIN, down ? 127 : 0));
+ *   qwerty.attach();
+ */
+
+// semitones above the octave's C
+const NOTE_KEYS = {
+  KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7, KeyY: 8, KeyH: 9,
+  KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16, Quote: 17
+};
+const OCTAVE_KEYS = { KeyZ: -1, KeyX: 1 };
+const VELOCITY_KEYS = { KeyC: -1, KeyV: 1 };
+const SUSTAIN_KEY = 'Space';
+
+const VELOCITY_STEP = 16;
+const MIN_OCTAVE = -1;
+const MAX_OCTAVE = 8;   // keeps the top key (F an octave up) within 127
+
+function typing(target) {
+  return target instanceof Element && !!target.closest('input, textarea, select, [contenteditable]');
+}
+
+export class QwertyKeyboard {
+  /**
+   * @param {object} options
+   * @param {number} options.octave - Octave of the A key's C, -1 to 8, C4 = 60 (default 4)
+   * @param {number} options.velocity - 1-127 (default 100)
+   */
+  constructor({ octave = 4, velocity = 100 } = {}) {
+    this.octave = octave;
+    this.velocity = velocity;
+    this.held = new Map();      // code -> note it started
+    this.sustained = false;
+    this.target = null;
+    this.onnoteon = null;       // (note, velocity) => void
+    this.onnoteoff = null;      // (note) => void
+    this.onsustain = null;      // (down) => void
+    this.onchange = null;       // ({ octave, velocity }) => void, after Z/X/C/V
+    this.keydown = e => this.handleKeyDown(e);
+    this.keyup = e => this.handleKeyUp(e);
+    this.blur = () => this.releaseAll();
+  }
+
+  /**
+   * Start listening.
+   * @param {EventTarget} target - Where key events are heard (default window)
+   */
+  attach(target = window) {
+    this.detach();
+    this.target = target;
+    target.addEventListener('keydown', this.keydown);
+    target.addEventListener('keyup', this.keyup);
+    window.addEventListener('blur', this.blur);
+  }
+
+  detach() {
+    if (!this.target) return;
+    this.releaseAll();
+    this.target.removeEventListener('keydown', this.keydown);
+    this.target.removeEventListener('keyup', this.keyup);
+    window.removeEventListener('blur', this.blur);
+    this.target = null;
+  }
+
+  /**
+   * "C4 · vel 100", for display.
+   * @returns {string}
+   */
+  describe() {
+    return `C${this.octave} · vel ${this.velocity}`;
+  }
+
+  /** MIDI note of the A key. */
+  get base() {
+    return (this.octave + 1) * 12;
+  }
+
+  handleKeyDown(e) {
+    if (e.ctrlKey || e.altKey || e.metaKey || typing(e.target)) return;
+    const { code } = e;
+    if (code in NOTE_KEYS) {
+      e.preventDefault();
+      if (e.repeat || this.held.has(code)) return;
+      const note = this.base + NOTE_KEYS[code];
+      this.held.set(code, note);
+      this.onnoteon?.(note, this.velocity);
+    } else if (code in OCTAVE_KEYS) {
+      e.preventDefault();
+      this.setOctave(this.octave + OCTAVE_KEYS[code]);
+    } else if (code in VELOCITY_KEYS) {
+      e.preventDefault();
+      this.setVelocity(this.velocity + VELOCITY_KEYS[code] * VELOCITY_STEP);
+    } else if (code === SUSTAIN_KEY) {
+      // also keeps a focused button from being clicked
+      e.preventDefault();
+      if (!e.repeat) this.setSustain(true);
+    }
+  }
+
+  handleKeyUp(e) {
+    const { code } = e;
+    if (this.held.has(code)) {
+      e.preventDefault();
+      const note = this.held.get(code);
+      this.held.delete(code);
+      this.onnoteoff?.(note);
+    } else if (code === SUSTAIN_KEY && this.sustained) {
+      e.preventDefault();
+      this.setSustain(false);
+    }
+  }
+
+  /**
+   * @param {number} octave - Clamped to -1 to 8
+   */
+  setOctave(octave) {
+    this.octave = Math.max(MIN_OCTAVE, Math.min(MAX_OCTAVE, octave));
+    this.onchange?.({ octave: this.octave, velocity: this.velocity });
+  }
+
+  /**
+   * @param {number} velocity - Clamped to 1-127
+   */
+  setVelocity(velocity) {
+    this.velocity = Math.max(1, Math.min(127, Math.round(velocity)));
+    this.onchange?.({ octave: this.octave, velocity: this.velocity });
+  }
+
+  setSustain(down) {
+    if (down === this.sustained) return;
+    this.sustained = down;
+    this.onsustain?.(down);
+  }
+
+  /** Let go of every key and the pedal. */
+  releaseAll() {
+    this.held.forEach(note => this.onnoteoff?.(note));
+    this.held.clear();
+    this.setSustain(false);
+  }
+}
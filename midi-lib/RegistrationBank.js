@@ -0,0 +1,174 @@
+/**
+ * RegistrationBank - Named snapshots of channel voices and controller values.
+ *
+ * A registration is a plain object:
+ *
+ *   { name, parts: [{ channel, voice: { msb?, lsb?, program }, controllers: { 91: 64, ... } }] }
+ *
+ * The bank keeps them in order (a setlist), stores them in localStorage and
+ * reads/writes them as JSON so a set can be moved between machines.
+ * recallMessages() turns one into the bank select, program change and
+ * control change bytes that restore it; its position in the list is the
+ * program number that recalls it from a MIDI input.
+ *
+ * Usage:
+ *   const bank = new RegistrationBank();
+ *   bank.save({ name: 'Verse', parts: capture() });
+ *   output.send(RegistrationBank.recallMessages(bank.get(0)));
+ *   download(bank.toJson());
+ */
+import { MidiEncoder } from './MidiEncoder.js';
+
+function is7Bit(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 127;
+}
+
+export class RegistrationBank {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'registrations')
+   */
+  constructor({ storageKey = 'registrations' } = {}) {
+    this.storageKey = storageKey;
+    this.registrations = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      this.registrations = saved.map((r, i) => RegistrationBank.validate(r, i));
+    } catch (err) {
+      console.warn('Ignoring unreadable registrations:', err);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.registrations));
+  }
+
+  /**
+   * @param {number} index - Also the program number that recalls it
+   * @returns {object|null}
+   */
+  get(index) {
+    return this.registrations[index] || null;
+  }
+
+  indexOf(name) {
+    return this.registrations.findIndex(r => r.name === name);
+  }
+
+  /**
+   * Add a registration, or replace the one with the same name in place.
+   * @param {object} registration
+   * @returns {number} Its index
+   */
+  save(registration) {
+    const reg = RegistrationBank.validate(registration, this.registrations.length);
+    let index = this.indexOf(reg.name);
+    if (index >= 0) {
+      this.registrations[index] = reg;
+    } else {
+      if (this.registrations.length >= 128) throw new RangeError('A bank holds at most 128 registrations');
+      index = this.registrations.push(reg) - 1;
+    }
+    this.persist();
+    return index;
+  }
+
+  remove(index) {
+    this.registrations.splice(index, 1);
+    this.persist();
+  }
+
+  /** @returns {string} */
+  toJson() {
+    return JSON.stringify({ registrations: this.registrations }, null, 2);
+  }
+
+  /**
+   * Load registrations exported by toJson(). Same-named ones are replaced,
+   * the rest appended. Nothing changes if any entry is invalid.
+   * @param {string} text
+   * @returns {number} How many were read
+   */
+  importJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    const list = Array.isArray(data) ? data : data?.registrations;
+    if (!Array.isArray(list)) throw new Error('Expected a list of registrations');
+    const incoming = list.map((r, i) => RegistrationBank.validate(r, i));
+    const merged = [...this.registrations];
+    for (const reg of incoming) {
+      const index = merged.findIndex(r => r.name === reg.name);
+      if (index >= 0) merged[index] = reg;
+      else merged.push(reg);
+    }
+    if (merged.length > 128) throw new RangeError('A bank holds at most 128 registrations');
+    this.registrations = merged;
+    this.persist();
+    return incoming.length;
+  }
+
+  /**
+   * Check a registration and return a clean copy.
+   * @param {object} reg
+   * @param {number} index - For error messages
+   * @returns {object}
+   */
+  static validate(reg, index = 0) {
+    const at = `Registration ${index + 1}`;
+    if (!reg || typeof reg !== 'object') throw new Error(`${at}: not an object`);
+    const name = typeof reg.name === 'string' ? reg.name.trim() : '';
+    if (!name) throw new Error(`${at}: missing name`);
+    if (!Array.isArray(reg.parts)) throw new Error(`${at} (${name}): missing parts`);
+
+    const parts = reg.parts.map(part => {
+      const channel = part?.channel;
+      if (!Number.isInteger(channel) || channel < 0 || channel > 15) {
+        throw new Error(`${at} (${name}): channel must be 0-15`);
+      }
+      const clean = { channel, controllers: {} };
+      if (part.voice) {
+        const { msb, lsb, program } = part.voice;
+        if (!is7Bit(program) || (msb !== undefined && !is7Bit(msb)) || (lsb !== undefined && !is7Bit(lsb))) {
+          throw new Error(`${at} (${name}): invalid voice on channel ${channel + 1}`);
+        }
+        clean.voice = msb === undefined ? { program } : { msb, lsb: lsb ?? 0, program };
+      }
+      Object.entries(part.controllers || {}).forEach(([cc, value]) => {
+        if (!is7Bit(+cc) || +cc > 119 || !is7Bit(value)) {
+          throw new Error(`${at} (${name}): invalid controller ${cc} on channel ${channel + 1}`);
+        }
+        clean.controllers[+cc] = value;
+      });
+      return clean;
+    });
+    return { name, parts };
+  }
+
+  /**
+   * Bytes that restore a registration: voice first, then controllers.
+   * @param {object} reg
+   * @returns {number[]}
+   */
+  static recallMessages(reg) {
+    const data = [];
+    for (const part of reg.parts) {
+      if (part.voice) {
+        data.push(...(part.voice.msb === undefined
+          ? MidiEncoder.programChange(part.channel, part.voice.program)
+          : MidiEncoder.voiceSelect(part.channel, part.voice)));
+      }
+      Object.entries(part.controllers).forEach(([cc, value]) => {
+        data.push(...MidiEncoder.controlChange(part.channel, +cc, value));
+      });
+    }
+    return data;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * RoutePresets - Named sets of MidiRouter routes, kept in localStorage.
+ *
+ * The routes being edited are saved on their own (`current`) so a reload
+ * comes back to them; presets are snapshots the player can switch between,
+ * e.g. one split for the verse and a layer for the chorus.
+ *
+ * Usage:
+ *   const presets = new RoutePresets();
+ *   router.setRoutes(presets.current);
+ *   presets.save('Split at C4', routes);
+ *   presets.setCurrent(presets.get('Split at C4'));
+ */
+export class RoutePresets {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'routePresets')
+   */
+  constructor({ storageKey = 'routePresets' } = {}) {
+    this.storageKey = storageKey;
+    this.presets = {};
+    this.current = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+      this.presets = saved.presets || {};
+      this.current = saved.current || [];
+    } catch (err) {
+      console.warn('Ignoring unreadable route presets:', err);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ current: this.current, presets: this.presets }));
+  }
+
+  /** @returns {string[]} */
+  names() {
+    return Object.keys(this.presets);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object[]|null} A copy of the preset's routes
+   */
+  get(name) {
+    return Object.hasOwn(this.presets, name) ? structuredClone(this.presets[name]) : null;
+  }
+
+  /**
+   * Remember the routes in use.
+   * @param {object[]} routes
+   */
+  setCurrent(routes) {
+    this.current = structuredClone(routes);
+    this.persist();
+  }
+
+  /**
+   * Store (or replace) a preset.
+   * @param {string} name
+   * @param {object[]} routes
+   */
+  save(name, routes) {
+    name = name.trim();
+    if (!name) throw new RangeError('Preset name is empty');
+    this.presets[name] = structuredClone(routes);
+    this.persist();
+  }
+
+  remove(name) {
+    delete this.presets[name];
+    this.persist();
+  }
+}
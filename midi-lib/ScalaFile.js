@@ -0,0 +1,99 @@
+/**
+ * ScalaFile - Parser for Scala scale (.scl) and keyboard mapping (.kbm) files.
+ *
+ * .scl: '!' lines are comments; the first other line is a description, the
+ * next the number of pitches, then one pitch per line, either in cents (it
+ * contains a '.') or as a ratio ("3/2", or a whole number like "2"). The
+ * last pitch is the period, normally 2/1. Text after a pitch is ignored.
+ *
+ * .kbm: '!' comments, then map size, first and last MIDI note, middle note
+ * (where degree 0 sits), reference note, reference frequency, the scale
+ * degree that acts as the formal octave, and one mapping entry per key
+ * (a degree number, or 'x' for an unmapped key).
+ *
+ * See https://www.huygens-fokker.org/scala/scl_format.html
+ *
+ * Usage:
+ *   const scale = ScalaFile.parseScl(sclText);   // { description, cents }
+ *   const keymap = ScalaFile.parseKbm(kbmText);  // { middle, reference, frequency, mapping, ... }
+ */
+
+/** Non-comment lines with their 1-based line numbers. */
+function contentLines(text) {
+  return text.split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, text: line }))
+    .filter(l => !l.text.startsWith('!'));
+}
+
+function parsePitch(token, line) {
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (!Number.isFinite(cents)) throw new Error(`Line ${line}: invalid cents value "${token}"`);
+    return cents;
+  }
+  const [num, den = '1'] = token.split('/');
+  const ratio = Number(num) / Number(den);
+  if (!/^\d+$/.test(num) || !/^\d+$/.test(den) || !(ratio > 0)) {
+    throw new Error(`Line ${line}: invalid ratio "${token}"`);
+  }
+  return 1200 * Math.log2(ratio);
+}
+
+export class ScalaFile {
+  /**
+   * @param {string} text
+   * @returns {{description: string, cents: number[]}} cents of degrees 1..n; the last is the period
+   */
+  static parseScl(text) {
+    const lines = contentLines(text);
+    if (lines.length < 2) throw new Error('Not a Scala scale file');
+    const description = lines[0].text.trim();
+    const count = Number(lines[1].text.trim().split(/\s+/)[0]);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Line ${lines[1].line}: expected the number of notes`);
+    }
+    const pitches = lines.slice(2).filter(l => l.text.trim());
+    if (pitches.length < count) throw new Error(`Expected ${count} pitches, found ${pitches.length}`);
+    const cents = pitches.slice(0, count).map(l => parsePitch(l.text.trim().split(/\s+/)[0], l.line));
+    if (cents[cents.length - 1] <= 0) throw new Error('The period (last pitch) must be above 1/1');
+    return { description, cents };
+  }
+
+  /**
+   * @param {string} text
+   * @returns {{size: number, first: number, last: number, middle: number, reference: number,
+   *            frequency: number, octaveDegree: number, mapping: (number|null)[]}}
+   */
+  static parseKbm(text) {
+    const lines = contentLines(text).filter(l => l.text.trim());
+    const field = (i, what) => {
+      if (!lines[i]) throw new Error(`Keyboard mapping is missing the ${what}`);
+      const value = Number(lines[i].text.trim().split(/\s+/)[0]);
+      if (!Number.isFinite(value)) throw new Error(`Line ${lines[i].line}: invalid ${what}`);
+      return value;
+    };
+    const keymap = {
+      size: field(0, 'map size'),
+      first: field(1, 'first note'),
+      last: field(2, 'last note'),
+      middle: field(3, 'middle note'),
+      reference: field(4, 'reference note'),
+      frequency: field(5, 'reference frequency'),
+      octaveDegree: field(6, 'octave degree'),
+      mapping: []
+    };
+    for (let i = 0; i < keymap.size; i++) {
+      const entry = lines[7 + i];
+      const token = entry ? entry.text.trim().split(/\s+/)[0] : 'x';
+      if (token === 'x') {
+        keymap.mapping.push(null);
+      } else {
+        const degree = Number(token);
+        if (!Number.isInteger(degree) || degree < 0) throw new Error(`Line ${entry.line}: invalid degree "${token}"`);
+        keymap.mapping.push(degree);
+      }
+    }
+    if (!(keymap.frequency > 0)) throw new Error('Reference frequency must be positive');
+    return keymap;
+  }
+}
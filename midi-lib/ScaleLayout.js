@@ -0,0 +1,170 @@
+/**
+ * ScaleLayout - A column layout for the strum pages, built from a scale.
+ *
+ * A scale is a list of degrees in cents above the root plus the period it
+ * repeats at (1200 for an octave). Interval patterns in semitones ("2 2 1
+ * 2 2 2 1", decimals allowed for microtonal steps) and Scala files both
+ * become that form, so 12-TET and microtonal layouts are handled alike.
+ *
+ * pitches() lays the scale out from `root` over `octaves` periods and adds
+ * the top root, as the original fixed layouts did; a non-zero `columns`
+ * takes exactly that many notes instead, continuing up the scale. Pitches
+ * are in cents above MIDI note 0, so 6000 is middle C and 6050 a quarter
+ * tone above it.
+ *
+ * Usage:
+ *   const layout = ScaleLayout.fromIntervals('dorian', '2 1 2 2 2 1 2', { octaves: 2 });
+ *   layout.pitches(3);   // transposed up 3 semitones
+ *   const bp = ScaleLayout.fromScala('Bohlen-Pierce', ScalaFile.parseScl(text));
+ */
+
+/** The layouts midi2.htm and midi3.htm shipped with, as interval patterns. */
+export const BUILT_IN_LAYOUTS = {
+  pentatonic:   [2, 2, 3, 2, 3],
+  minorPent:    [3, 2, 2, 3, 2],
+  egyptian:     [2, 3, 2, 3, 2],
+  inSen:        [1, 4, 2, 3, 2],
+  kumoi:        [2, 1, 4, 1, 4],
+  iwato:        [1, 4, 1, 4, 2],
+  wtPent:       [2, 2, 2, 2, 4],
+  major:        [2, 2, 1, 2, 2, 2, 1],
+  naturalMinor: [2, 1, 2, 2, 1, 2, 2],
+  wholeTone:    [2, 2, 2, 2, 2, 2],
+  octatonic:    [1, 2, 1, 2, 1, 2, 1, 2],
+  majorTriad:   [4, 3, 5],
+  dom7:         [4, 3, 3, 2],
+  maj7:         [4, 3, 4, 1],
+  minorTriad:   [3, 4, 5],
+  min7:         [3, 4, 3, 2]
+};
+
+/**
+ * Parse "2 2 1 2", "2,2,1,2" or "2-2-1-2" into semitone steps.
+ * @param {string|number[]} pattern
+ * @returns {number[]}
+ */
+export function parseIntervals(pattern) {
+  const steps = Array.isArray(pattern)
+    ? pattern.map(Number)
+    : pattern.trim().split(/[\s,\-]+/).filter(Boolean).map(Number);
+  if (!steps.length) throw new RangeError('Interval pattern is empty');
+  if (steps.some(s => !Number.isFinite(s) || s <= 0)) {
+    throw new RangeError(`Intervals must be positive numbers of semitones: ${pattern}`);
+  }
+  return steps;
+}
+
+export class ScaleLayout {
+  /**
+   * @param {object} def
+   * @param {string} def.name
+   * @param {number[]} def.degrees - Cents above the root, starting with 0
+   * @param {number} def.period - Cents the scale repeats at (default 1200)
+   * @param {number} def.root - MIDI note of degree 0 (default 48)
+   * @param {number} def.octaves - Periods to lay out (default 3)
+   * @param {number} def.columns - Exact column count, 0 for octaves × scale size + 1 (default 0)
+   * @param {number} def.offset - Cents added to every pitch, e.g. from a .kbm reference (default 0)
+   * @param {string} def.source - How it was made: 'intervals' or 'scala' (informational)
+   * @param {string} def.pattern - Original interval pattern, kept for editing
+   */
+  constructor({ name, degrees, period = 1200, root = 48, octaves = 3, columns = 0, offset = 0,
+                source = 'intervals', pattern = '' }) {
+    if (!Array.isArray(degrees) || !degrees.length) throw new RangeError('A scale needs at least one degree');
+    if (!(period > 0)) throw new RangeError(`period must be positive, got ${period}`);
+    if (!Number.isInteger(root) || root < 0 || root > 127) throw new RangeError(`root must be 0-127, got ${root}`);
+    if (!Number.isInteger(octaves) || octaves < 1 || octaves > 10) {
+      throw new RangeError(`octaves must be 1-10, got ${octaves}`);
+    }
+    if (!Number.isInteger(columns) || columns < 0 || columns > 128) {
+      throw new RangeError(`columns must be 0-128, got ${columns}`);
+    }
+    Object.assign(this, { name, degrees, period, root, octaves, columns, offset, source, pattern });
+  }
+
+  /**
+   * @param {string} name
+   * @param {string|number[]} pattern - Semitone steps; their sum is the period
+   * @param {object} options - root, octaves, columns
+   * @returns {ScaleLayout}
+   */
+  static fromIntervals(name, pattern, options = {}) {
+    const steps = parseIntervals(pattern);
+    const degrees = [0];
+    steps.slice(0, -1).forEach(s => degrees.push(degrees[degrees.length - 1] + s * 100));
+    const period = steps.reduce((sum, s) => sum + s, 0) * 100;
+    return new ScaleLayout({ ...options, name, degrees, period, source: 'intervals', pattern: steps.join(' ') });
+  }
+
+  /**
+   * @param {string} name
+   * @param {{cents: number[]}} scale - From ScalaFile.parseScl()
+   * @param {object|null} keymap - From ScalaFile.parseKbm(): sets root, mapped degrees and reference pitch
+   * @param {object} options - root, octaves, columns
+   * @returns {ScaleLayout}
+   */
+  static fromScala(name, scale, keymap = null, options = {}) {
+    const all = [0, ...scale.cents.slice(0, -1)];
+    let period = scale.cents[scale.cents.length - 1];
+    let degrees = all;
+    let root = options.root ?? 48;
+    let offset = 0;
+
+    if (keymap) {
+      const n = all.length;
+      const degreeCents = d => Math.floor(d / n) * period + all[d % n];
+      if (keymap.octaveDegree > 0) period = degreeCents(keymap.octaveDegree);
+      root = keymap.middle;
+      const mapped = keymap.mapping.filter(d => d !== null && d < n);
+      if (mapped.length) degrees = [...new Set(mapped)].sort((a, b) => a - b).map(d => all[d]);
+
+      // shift everything so the reference key sounds at the reference frequency
+      const size = keymap.mapping.length || n;
+      const keyOffset = keymap.reference - keymap.middle;
+      const degree = keymap.mapping.length ? keymap.mapping[((keyOffset % size) + size) % size] : ((keyOffset % n) + n) % n;
+      if (degree !== null && degree !== undefined) {
+        const pitch = root * 100 + Math.floor(keyOffset / size) * period + degreeCents(degree);
+        offset = 6900 + 1200 * Math.log2(keymap.frequency / 440) - pitch;
+      }
+    }
+    if (degrees[0] !== 0) degrees = [0, ...degrees.filter(d => d !== 0)];
+    return new ScaleLayout({ ...options, name, degrees, period, root, offset, source: 'scala' });
+  }
+
+  /**
+   * Restore a layout saved with toJSON().
+   * @param {object} def
+   * @returns {ScaleLayout}
+   */
+  static fromJSON(def) {
+    return new ScaleLayout(def);
+  }
+
+  /** Whether any pitch falls between 12-TET keys. */
+  get microtonal() {
+    const off = c => Math.abs(c - Math.round(c / 100) * 100) > 0.5;
+    return off(this.period) || off(this.offset) || this.degrees.some(off);
+  }
+
+  /**
+   * Column pitches, low to high, limited to the MIDI note range.
+   * @param {number} transpose - Semitones (default 0)
+   * @returns {number[]} Cents above MIDI note 0
+   */
+  pitches(transpose = 0) {
+    const n = this.degrees.length;
+    const count = this.columns || this.octaves * n + 1;
+    const base = (this.root + transpose) * 100 + this.offset;
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      const cents = base + Math.floor(i / n) * this.period + this.degrees[i % n];
+      if (cents > 12750) break;
+      if (cents >= -50) out.push(cents);
+    }
+    return out;
+  }
+
+  toJSON() {
+    const { name, degrees, period, root, octaves, columns, offset, source, pattern } = this;
+    return { name, degrees, period, root, octaves, columns, offset, source, pattern };
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * SequencerGrid - Editing panel for a StepSequencer.
+ *
+ * Shows one channel's 16 steps at a time: each step has an on/off button
+ * labelled with its note name, a note number and a velocity. A bar above
+ * picks the channel (channels with steps on are marked ●), sets the
+ * shared gate and swing, and clears the row. highlight() marks the step
+ * being played. Styling is left to the page via the `seq-*` class names.
+ *
+ * Usage:
+ *   const grid = new SequencerGrid(panel, sequencer);
+ *   transport.onstep = (step, time) => {
+ *     setTimeout(() => grid.highlight(step % 16), time - performance.now());
+ *   };
+ */
+import { SEQUENCER_STEPS } from './StepSequencer.js';
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+function noteName(note) {
+  return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+export class SequencerGrid {
+  /**
+   * @param {HTMLElement} container
+   * @param {StepSequencer} sequencer
+   * @param {object} options
+   * @param {number} options.channel - Channel shown first, 0-15 (default 0)
+   */
+  constructor(container, sequencer, { channel = 0 } = {}) {
+    this.container = container;
+    this.sequencer = sequencer;
+    this.channel = channel;
+    this.playing = -1;
+    this.build();
+    this.update();
+  }
+
+  build() {
+    const c = this.container;
+    c.classList.add('sequencer-grid');
+    c.innerHTML = '';
+
+    const bar = document.createElement('div');
+    bar.className = 'seq-bar';
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    this.channelSelect = document.createElement('select');
+    this.channelSelect.onchange = () => this.setChannel(+this.channelSelect.value);
+    this.gateInput = document.createElement('input');
+    Object.assign(this.gateInput, { type: 'number', min: 5, max: 100, step: 5 });
+    this.swingInput = document.createElement('input');
+    Object.assign(this.swingInput, { type: 'number', min: 0, max: 75, step: 5 });
+    this.gateInput.onchange = this.swingInput.onchange = () => this.timingChanged();
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Clear row';
+    clearBtn.onclick = () => {
+      this.sequencer.clearRow(this.channel);
+      this.update();
+    };
+    bar.append(field('Channel:', this.channelSelect), field('Gate %:', this.gateInput),
+               field('Swing %:', this.swingInput), clearBtn);
+
+    this.stepsEl = document.createElement('div');
+    this.stepsEl.className = 'seq-steps';
+    this.cells = [];
+    for (let i = 0; i < SEQUENCER_STEPS; i++) {
+      const cell = document.createElement('div');
+      cell.className = 'seq-step';
+      const toggle = document.createElement('button');
+      toggle.onclick = () => this.change(i, { on: !this.sequencer.rows[this.channel][i].on });
+      const note = document.createElement('input');
+      Object.assign(note, { type: 'number', min: 0, max: 127, title: 'Note' });
+      note.onchange = () => this.change(i, { note: +note.value });
+      const velocity = document.createElement('input');
+      Object.assign(velocity, { type: 'number', min: 1, max: 127, title: 'Velocity' });
+      velocity.onchange = () => this.change(i, { velocity: +velocity.value });
+      cell.append(toggle, note, velocity);
+      this.stepsEl.appendChild(cell);
+      this.cells.push({ cell, toggle, note, velocity });
+    }
+    c.append(bar, this.stepsEl);
+  }
+
+  update() {
+    const active = new Set(this.sequencer.activeChannels());
+    this.channelSelect.innerHTML = '';
+    for (let ch = 0; ch < 16; ch++) {
+      const o = document.createElement('option');
+      o.value = ch;
+      o.textContent = `${ch + 1}${active.has(ch) ? ' ●' : ''}`;
+      this.channelSelect.appendChild(o);
+    }
+    this.channelSelect.value = this.channel;
+    this.gateInput.value = Math.round(this.sequencer.gate * 100);
+    this.swingInput.value = Math.round(this.sequencer.swing * 100);
+    this.sequencer.rows[this.channel].forEach((s, i) => {
+      const { cell, toggle, note, velocity } = this.cells[i];
+      cell.classList.toggle('seq-on', s.on);
+      toggle.textContent = noteName(s.note);
+      note.value = s.note;
+      velocity.value = s.velocity;
+    });
+  }
+
+  /**
+   * @param {number} channel - 0-15
+   */
+  setChannel(channel) {
+    this.channel = channel;
+    this.update();
+  }
+
+  change(index, changes) {
+    try {
+      this.sequencer.setStep(this.channel, index, changes);
+    } catch (err) {
+      alert(err.message);
+    }
+    this.update();
+  }
+
+  timingChanged() {
+    try {
+      this.sequencer.setTiming({ gate: +this.gateInput.value / 100, swing: +this.swingInput.value / 100 });
+      this.sequencer.save();
+    } catch (err) {
+      alert(err.message);
+    }
+    this.update();
+  }
+
+  /**
+   * Mark the step being played, or none with -1.
+   * @param {number} index
+   */
+  highlight(index) {
+    this.cells[this.playing]?.cell.classList.remove('seq-playing');
+    this.playing = index;
+    this.cells[index]?.cell.classList.add('seq-playing');
+  }
+}
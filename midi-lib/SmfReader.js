@@ -0,0 +1,186 @@
+/**
+ * SmfReader - Parses Standard MIDI Files (format 0 and 1).
+ *
+ * Produces one event list per track with absolute tick positions. Channel
+ * events keep their raw bytes (running status already expanded) alongside
+ * the decoded message, so a player can remap the channel and send them as-is.
+ *
+ * Usage:
+ *   const smf = SmfReader.parse(await file.arrayBuffer());
+ *   smf.tracks[0].events  // [{ tick, kind: 'channel', data, message }, ...]
+ *
+ * Event kinds:
+ *   { tick, kind: 'channel', data: number[], message }  // message from MidiDecoder
+ *   { tick, kind: 'sysex', data: Uint8Array }           // F0 prepended when missing
+ *   { tick, kind: 'meta', metaType, data: Uint8Array }
+ */
+import { MidiDecoder, dataLength } from './MidiDecoder.js';
+
+export const META = {
+  TEXT: 0x01,
+  TRACK_NAME: 0x03,
+  INSTRUMENT_NAME: 0x04,
+  MARKER: 0x06,
+  CHANNEL_PREFIX: 0x20,
+  END_OF_TRACK: 0x2F,
+  TEMPO: 0x51,
+  TIME_SIGNATURE: 0x58,
+  KEY_SIGNATURE: 0x59
+};
+
+class ByteCursor {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  get remaining() {
+    return this.bytes.length - this.pos;
+  }
+
+  need(count) {
+    if (this.remaining < count) {
+      throw new Error(`Unexpected end of MIDI file at byte ${this.pos}`);
+    }
+  }
+
+  u8() {
+    this.need(1);
+    return this.bytes[this.pos++];
+  }
+
+  u16() {
+    return (this.u8() << 8) | this.u8();
+  }
+
+  u32() {
+    return ((this.u16() << 16) | this.u16()) >>> 0;
+  }
+
+  ascii(length) {
+    return String.fromCharCode(...this.take(length));
+  }
+
+  take(length) {
+    this.need(length);
+    const out = this.bytes.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return out;
+  }
+
+  /** Variable-length quantity, at most four bytes. */
+  vlq() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.u8();
+      value = (value << 7) | (byte & 0x7F);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error(`Variable-length quantity longer than 4 bytes at byte ${this.pos}`);
+  }
+}
+
+export class SmfReader {
+  /**
+   * Parse a whole file.
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {{format: number, ticksPerBeat: number|null, smpte: {fps: number, ticksPerFrame: number}|null,
+   *            tracks: {name: string, events: object[]}[]}}
+   */
+  static parse(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const cursor = new ByteCursor(bytes);
+
+    if (cursor.remaining < 14 || cursor.ascii(4) !== 'MThd') {
+      throw new Error('Not a Standard MIDI File (missing MThd header)');
+    }
+    const headerLength = cursor.u32();
+    const format = cursor.u16();
+    const trackCount = cursor.u16();
+    const division = cursor.u16();
+    cursor.take(headerLength - 6);
+
+    if (format > 2) {
+      throw new Error(`Unsupported MIDI file format ${format}`);
+    }
+
+    let ticksPerBeat = null;
+    let smpte = null;
+    if (division & 0x8000) {
+      // Negative SMPTE frame rate in the high byte; 29 means 29.97 drop-frame.
+      const fps = 256 - (division >> 8);
+      smpte = { fps: fps === 29 ? 29.97 : fps, ticksPerFrame: division & 0xFF };
+    } else {
+      ticksPerBeat = division;
+    }
+
+    const tracks = [];
+    while (tracks.length < trackCount && cursor.remaining >= 8) {
+      const id = cursor.ascii(4);
+      const length = cursor.u32();
+      const chunk = cursor.take(Math.min(length, cursor.remaining));
+      // Unknown chunk types must be skipped, per the SMF spec.
+      if (id === 'MTrk') tracks.push(SmfReader.parseTrack(chunk));
+    }
+
+    return { format, ticksPerBeat, smpte, tracks };
+  }
+
+  /**
+   * Parse the body of one MTrk chunk.
+   * @param {Uint8Array} chunk
+   * @returns {{name: string, events: object[]}}
+   */
+  static parseTrack(chunk) {
+    const cursor = new ByteCursor(chunk);
+    const events = [];
+    let name = '';
+    let tick = 0;
+    let runningStatus = null;
+
+    while (cursor.remaining > 0) {
+      tick += cursor.vlq();
+      let status = cursor.u8();
+
+      if (status === 0xFF) {
+        const metaType = cursor.u8();
+        const data = cursor.take(cursor.vlq());
+        events.push({ tick, kind: 'meta', metaType, data });
+        if (metaType === META.TRACK_NAME && !name) name = String.fromCharCode(...data);
+        if (metaType === META.END_OF_TRACK) break;
+        continue;
+      }
+
+      if (status === 0xF0 || status === 0xF7) {
+        // F7 chunks are continuation packets or escaped raw bytes; both are
+        // forwarded verbatim, F0 packets get their status byte back.
+        const body = cursor.take(cursor.vlq());
+        const data = status === 0xF0 ? Uint8Array.of(0xF0, ...body) : Uint8Array.from(body);
+        events.push({ tick, kind: 'sysex', data });
+        runningStatus = null;
+        continue;
+      }
+
+      let first = null;
+      if (status < 0x80) {
+        if (runningStatus === null) {
+          throw new Error(`Data byte without running status at tick ${tick}`);
+        }
+        first = status;
+        status = runningStatus;
+      } else if (status < 0xF0) {
+        runningStatus = status;
+      } else {
+        throw new Error(`Unexpected system message 0x${status.toString(16)} in track data`);
+      }
+
+      const data = [status];
+      const length = dataLength(status);
+      if (first !== null) data.push(first);
+      while (data.length <= length) data.push(cursor.u8() & 0x7F);
+      events.push({ tick, kind: 'channel', data, message: MidiDecoder.parse(data) });
+    }
+
+    return { name, events };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * SmfWriter - Serializes tracks of timed MIDI events to a Standard MIDI File.
+ *
+ * A single track is written as format 0 with the tempo in that track; more
+ * tracks are written as format 1 with a leading tempo/conductor track.
+ *
+ * Usage:
+ *   const bytes = SmfWriter.write({
+ *     ticksPerBeat: 480,
+ *     bpm: 120,
+ *     tracks: [{ name: 'Take 1', events: [{ tick: 0, data: [0x90, 60, 100] }] }]
+ *   });
+ *   new Blob([bytes], { type: 'audio/midi' });
+ */
+import { META } from './SmfReader.js';
+
+function vlq(value) {
+  const bytes = [value & 0x7F];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7F) | 0x80);
+  return bytes;
+}
+
+function u32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+function text(str) {
+  return Array.from(new TextEncoder().encode(str));
+}
+
+function metaEvent(metaType, data) {
+  return [0xFF, metaType, ...vlq(data.length), ...data];
+}
+
+function tempoEvent(bpm) {
+  const tempo = Math.round(60e6 / bpm);
+  return metaEvent(META.TEMPO, [(tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF]);
+}
+
+export class SmfWriter {
+  /**
+   * @param {object} song
+   * @param {number} song.ticksPerBeat - Pulses per quarter note (default 480)
+   * @param {number} song.bpm - Tempo written at tick 0 (default 120)
+   * @param {{name?: string, events: {tick: number, data: ArrayLike<number>}[]}[]} song.tracks
+   * @returns {Uint8Array}
+   */
+  static write({ ticksPerBeat = 480, bpm = 120, tracks }) {
+    const format = tracks.length === 1 ? 0 : 1;
+    const chunks = [];
+
+    if (format === 1) {
+      chunks.push(SmfWriter.trackChunk([{ tick: 0, raw: tempoEvent(bpm) }]));
+    }
+    tracks.forEach((track, i) => {
+      const events = [];
+      if (track.name) events.push({ tick: 0, raw: metaEvent(META.TRACK_NAME, text(track.name)) });
+      if (format === 0 && i === 0) events.push({ tick: 0, raw: tempoEvent(bpm) });
+      for (const ev of track.events) {
+        const data = Array.from(ev.data);
+        // SysEx is stored as F0 <length> <bytes after F0>
+        const raw = data[0] === 0xF0 ? [0xF0, ...vlq(data.length - 1), ...data.slice(1)] : data;
+        events.push({ tick: Math.max(0, Math.round(ev.tick)), raw });
+      }
+      chunks.push(SmfWriter.trackChunk(events));
+    });
+
+    const header = [
+      ...text('MThd'), ...u32(6),
+      0, format,
+      (chunks.length >> 8) & 0xFF, chunks.length & 0xFF,
+      (ticksPerBeat >> 8) & 0x7F, ticksPerBeat & 0xFF
+    ];
+    return Uint8Array.from([...header, ...chunks.flat()]);
+  }
+
+  /**
+   * Build one MTrk chunk. Events are sorted by tick (stable) and an
+   * End of Track meta event is appended after the last one.
+   * @param {{tick: number, raw: number[]}[]} events
+   * @returns {number[]}
+   */
+  static trackChunk(events) {
+    const sorted = [...events].sort((a, b) => a.tick - b.tick);
+    const body = [];
+    let lastTick = 0;
+    for (const ev of sorted) {
+      body.push(...vlq(ev.tick - lastTick), ...ev.raw);
+      lastTick = ev.tick;
+    }
+    body.push(0, ...metaEvent(META.END_OF_TRACK, []));
+    return [...text('MTrk'), ...u32(body.length), ...body];
+  }
+}
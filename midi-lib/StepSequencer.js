@@ -0,0 +1,135 @@
+/**
+ * StepSequencer - A 16-step note pattern for each MIDI channel, played from a Transport.
+ *
+ * Every channel has its own row of steps; a step that is on plays its note
+ * at its velocity for `gate` of a step. Channels with no steps on are
+ * silent, so one sequencer can drive a bass line on one channel and a
+ * riff on another. `swing` delays every odd step. As with the
+ * arpeggiator, step() returns each note-on with its note-off, both
+ * timestamped ahead of time.
+ *
+ * Patterns are kept in localStorage under `storageKey`.
+ *
+ * Usage:
+ *   const seq = new StepSequencer({ storageKey: 'sequencer.midi2' });
+ *   seq.setStep(0, 4, { on: true, note: 48 });
+ *   transport.onstep = (step, time, duration) => {
+ *     seq.step(step, time, duration).forEach(e => output.send(e.data, e.time));
+ *   };
+ */
+import { MidiEncoder } from './MidiEncoder.js';
+
+export const SEQUENCER_STEPS = 16;
+
+function emptyRow() {
+  return Array.from({ length: SEQUENCER_STEPS }, () => ({ on: false, note: 60, velocity: 100 }));
+}
+
+function checkStep(step) {
+  if (!Number.isInteger(step.note) || step.note < 0 || step.note > 127) {
+    throw new RangeError(`note must be 0-127, got ${step.note}`);
+  }
+  if (!Number.isInteger(step.velocity) || step.velocity < 1 || step.velocity > 127) {
+    throw new RangeError(`velocity must be 1-127, got ${step.velocity}`);
+  }
+  return { on: !!step.on, note: step.note, velocity: step.velocity };
+}
+
+export class StepSequencer {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'stepSequencer')
+   */
+  constructor({ storageKey = 'stepSequencer' } = {}) {
+    this.storageKey = storageKey;
+    this.rows = Array.from({ length: 16 }, emptyRow);  // per channel
+    this.gate = 0.5;
+    this.swing = 0;
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (!saved) return;
+      saved.rows?.forEach((row, channel) => {
+        if (channel < 16 && Array.isArray(row)) {
+          row.slice(0, SEQUENCER_STEPS).forEach((s, i) => {
+            try {
+              Object.assign(this.rows[channel][i], checkStep({ ...this.rows[channel][i], ...s }));
+            } catch (err) {
+              console.warn(`Ignoring saved step ${i + 1} on channel ${channel + 1}:`, err);
+            }
+          });
+        }
+      });
+      this.setTiming(saved);
+    } catch (err) {
+      console.warn('Ignoring unreadable sequencer pattern:', err);
+    }
+  }
+
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ rows: this.rows, gate: this.gate, swing: this.swing }));
+  }
+
+  /**
+   * @param {object} timing
+   * @param {number} timing.gate - Note length as a fraction of a step, 0.05-1
+   * @param {number} timing.swing - Delay of odd steps, 0-0.75 of a step
+   */
+  setTiming({ gate = this.gate, swing = this.swing } = {}) {
+    if (!(gate >= 0.05 && gate <= 1)) throw new RangeError(`gate must be 0.05-1, got ${gate}`);
+    if (!(swing >= 0 && swing <= 0.75)) throw new RangeError(`swing must be 0-0.75, got ${swing}`);
+    this.gate = gate;
+    this.swing = swing;
+  }
+
+  /**
+   * Change one step and save the pattern.
+   * @param {number} channel - 0-15
+   * @param {number} index - 0-15
+   * @param {{on?: boolean, note?: number, velocity?: number}} changes
+   */
+  setStep(channel, index, changes) {
+    const step = this.rows[channel][index];
+    Object.assign(step, checkStep({ ...step, ...changes }));
+    this.save();
+  }
+
+  /**
+   * Turn every step on a channel off.
+   * @param {number} channel
+   */
+  clearRow(channel) {
+    this.rows[channel] = emptyRow();
+    this.save();
+  }
+
+  /** @returns {number[]} Channels with at least one step on */
+  activeChannels() {
+    return this.rows.flatMap((row, channel) => row.some(s => s.on) ? [channel] : []);
+  }
+
+  /**
+   * Messages for one transport step.
+   * @param {number} step - Transport step number
+   * @param {number} time - performance.now()-based time of the step
+   * @param {number} duration - Step length in ms
+   * @returns {{data: number[], time: number}[]}
+   */
+  step(step, time, duration) {
+    const index = step % SEQUENCER_STEPS;
+    const offset = index % 2 === 1 ? this.swing * duration : 0;
+    const start = time + offset;
+    const end = start + this.gate * (duration - offset);
+    const out = [];
+    this.rows.forEach((row, channel) => {
+      const s = row[index];
+      if (!s.on) return;
+      out.push({ data: MidiEncoder.noteOn(channel, s.note, s.velocity), time: start });
+      out.push({ data: MidiEncoder.noteOff(channel, s.note), time: end });
+    });
+    return out;
+  }
+}
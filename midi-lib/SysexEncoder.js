@@ -0,0 +1,217 @@
+/**
+ * SysexEncoder - Builds System Exclusive messages for XG and GS instruments.
+ *
+ * Covers what bank select and CC91/CC93 cannot reach: system resets, the
+ * reverb and chorus effect types, master tuning and per-part filter and
+ * envelope offsets. Most messages exist in a Yamaha XG and a Roland GS
+ * form, chosen by a SYSEX_STANDARDS id; GM reset, master tuning and the
+ * identity request are universal. Like MidiEncoder, invalid arguments
+ * throw a RangeError, including effect types the chosen standard lacks.
+ *
+ * Sending any of these needs MIDI access granted with `sysex: true`.
+ *
+ * Usage:
+ *   output.send(SysexEncoder.reset('xg'));
+ *   output.send(SysexEncoder.reverbType('xg', 'hall2'));
+ *   output.send(SysexEncoder.partParameter('xg', 0, 'cutoff', -20));
+ *   output.send(SysexEncoder.masterTuning(-12.5));
+ */
+
+export const SYSEX_STANDARDS = [
+  { id: 'xg', label: 'Yamaha XG' },
+  { id: 'gs', label: 'Roland GS' }
+];
+
+// xg: effect type MSB/LSB at 02 01 00 (reverb) or 02 01 20 (chorus)
+// gs: reverb/chorus macro number at 40 01 30 or 40 01 38
+export const REVERB_TYPES = [
+  { id: 'off', label: 'Off', xg: [0x00, 0x00] },
+  { id: 'hall1', label: 'Hall 1', xg: [0x01, 0x00], gs: 3 },
+  { id: 'hall2', label: 'Hall 2', xg: [0x01, 0x01], gs: 4 },
+  { id: 'room1', label: 'Room 1', xg: [0x02, 0x00], gs: 0 },
+  { id: 'room2', label: 'Room 2', xg: [0x02, 0x01], gs: 1 },
+  { id: 'room3', label: 'Room 3', xg: [0x02, 0x02], gs: 2 },
+  { id: 'stage1', label: 'Stage 1', xg: [0x03, 0x00] },
+  { id: 'stage2', label: 'Stage 2', xg: [0x03, 0x01] },
+  { id: 'plate', label: 'Plate', xg: [0x04, 0x00], gs: 5 },
+  { id: 'whiteRoom', label: 'White room', xg: [0x10, 0x00] },
+  { id: 'tunnel', label: 'Tunnel', xg: [0x11, 0x00] },
+  { id: 'basement', label: 'Basement', xg: [0x13, 0x00] },
+  { id: 'delay', label: 'Delay', gs: 6 },
+  { id: 'panningDelay', label: 'Panning delay', gs: 7 }
+];
+
+export const CHORUS_TYPES = [
+  { id: 'off', label: 'Off', xg: [0x00, 0x00] },
+  { id: 'chorus1', label: 'Chorus 1', xg: [0x41, 0x00], gs: 0 },
+  { id: 'chorus2', label: 'Chorus 2', xg: [0x41, 0x01], gs: 1 },
+  { id: 'chorus3', label: 'Chorus 3', xg: [0x41, 0x02], gs: 2 },
+  { id: 'chorus4', label: 'Chorus 4', xg: [0x41, 0x08], gs: 3 },
+  { id: 'feedbackChorus', label: 'Feedback chorus', gs: 4 },
+  { id: 'celeste1', label: 'Celeste 1', xg: [0x42, 0x00] },
+  { id: 'celeste2', label: 'Celeste 2', xg: [0x42, 0x01] },
+  { id: 'celeste3', label: 'Celeste 3', xg: [0x42, 0x02] },
+  { id: 'flanger1', label: 'Flanger 1', xg: [0x43, 0x00], gs: 5 },
+  { id: 'flanger2', label: 'Flanger 2', xg: [0x43, 0x01] },
+  { id: 'symphonic', label: 'Symphonic', xg: [0x44, 0x00] },
+  { id: 'phaser', label: 'Phaser', xg: [0x48, 0x00] },
+  { id: 'shortDelay', label: 'Short delay', gs: 6 },
+  { id: 'shortDelayFeedback', label: 'Short delay (FB)', gs: 7 }
+];
+
+// offsets from the voice's own setting; xg: 08 <part> <addr>, gs: 40 1<block> <addr>
+export const PART_PARAMS = [
+  { id: 'cutoff', label: 'Filter cutoff', xg: 0x18, gs: 0x32 },
+  { id: 'resonance', label: 'Resonance', xg: 0x19, gs: 0x33 },
+  { id: 'attack', label: 'EG attack', xg: 0x1A, gs: 0x34 },
+  { id: 'decay', label: 'EG decay', xg: 0x1B, gs: 0x35 },
+  { id: 'release', label: 'EG release', xg: 0x1C, gs: 0x36 }
+];
+
+const YAMAHA = 0x43, XG_MODEL = 0x4C;
+const ROLAND = 0x41, GS_DEVICE = 0x10, GS_MODEL = 0x42, ROLAND_DT1 = 0x12;
+
+function assertRange(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RangeError(`${name} must be an integer ${min}-${max}, got ${value}`);
+  }
+}
+
+function assertStandard(standard) {
+  if (!SYSEX_STANDARDS.some(s => s.id === standard)) throw new RangeError(`Unknown SysEx standard: ${standard}`);
+}
+
+function find(list, id, what) {
+  const entry = list.find(e => e.id === id);
+  if (!entry) throw new RangeError(`Unknown ${what}: ${id}`);
+  return entry;
+}
+
+export class SysexEncoder {
+  /**
+   * Entries of REVERB_TYPES, CHORUS_TYPES or PART_PARAMS a standard supports.
+   * @param {object[]} list
+   * @param {string} standard - A SYSEX_STANDARDS id
+   * @returns {object[]}
+   */
+  static supported(list, standard) {
+    return list.filter(e => e[standard] !== undefined);
+  }
+
+  /**
+   * XG Parameter Change: F0 43 1n 4C hh mm ll data... F7
+   * @param {number[]} address - Three 7-bit bytes
+   * @param {number[]} data - 7-bit bytes
+   * @param {number} device - XG device number 0-15 (default 0)
+   * @returns {number[]}
+   */
+  static xgParameter(address, data, device = 0) {
+    assertRange('device', device, 0, 15);
+    [...address, ...data].forEach(b => assertRange('data byte', b, 0, 0x7F));
+    return [0xF0, YAMAHA, 0x10 | device, XG_MODEL, ...address, ...data, 0xF7];
+  }
+
+  /**
+   * GS Data Set (DT1) with its Roland checksum.
+   * @param {number[]} address - Three 7-bit bytes
+   * @param {number[]} data - 7-bit bytes
+   * @returns {number[]}
+   */
+  static gsParameter(address, data) {
+    const body = [...address, ...data];
+    body.forEach(b => assertRange('data byte', b, 0, 0x7F));
+    const checksum = (128 - body.reduce((sum, b) => sum + b, 0) % 128) % 128;
+    return [0xF0, ROLAND, GS_DEVICE, GS_MODEL, ROLAND_DT1, ...body, checksum, 0xF7];
+  }
+
+  /** XG System On; the instrument resets to its XG defaults. */
+  static xgSystemOn(device = 0) {
+    return SysexEncoder.xgParameter([0x00, 0x00, 0x7E], [0x00], device);
+  }
+
+  /** GS Reset. */
+  static gsReset() {
+    return SysexEncoder.gsParameter([0x40, 0x00, 0x7F], [0x00]);
+  }
+
+  /** Universal GM System On. */
+  static gmReset() {
+    return [0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7];
+  }
+
+  /**
+   * XG System On or GS Reset.
+   * @param {string} standard - A SYSEX_STANDARDS id
+   * @returns {number[]}
+   */
+  static reset(standard) {
+    assertStandard(standard);
+    return standard === 'xg' ? SysexEncoder.xgSystemOn() : SysexEncoder.gsReset();
+  }
+
+  /**
+   * @param {string} standard - A SYSEX_STANDARDS id
+   * @param {string} id - A REVERB_TYPES id the standard supports
+   * @returns {number[]}
+   */
+  static reverbType(standard, id) {
+    return SysexEncoder.effectType(standard, find(REVERB_TYPES, id, 'reverb type'),
+                                   [0x02, 0x01, 0x00], [0x40, 0x01, 0x30]);
+  }
+
+  /**
+   * @param {string} standard - A SYSEX_STANDARDS id
+   * @param {string} id - A CHORUS_TYPES id the standard supports
+   * @returns {number[]}
+   */
+  static chorusType(standard, id) {
+    return SysexEncoder.effectType(standard, find(CHORUS_TYPES, id, 'chorus type'),
+                                   [0x02, 0x01, 0x20], [0x40, 0x01, 0x38]);
+  }
+
+  static effectType(standard, type, xgAddress, gsAddress) {
+    assertStandard(standard);
+    const value = type[standard];
+    if (value === undefined) throw new RangeError(`${type.label} is not available in ${standard.toUpperCase()}`);
+    return standard === 'xg'
+      ? SysexEncoder.xgParameter(xgAddress, value)
+      : SysexEncoder.gsParameter(gsAddress, [value]);
+  }
+
+  /**
+   * Universal Master Fine Tuning, which XG and GS instruments both follow.
+   * @param {number} cents - -100 to +100
+   * @returns {number[]}
+   */
+  static masterTuning(cents) {
+    if (!(cents >= -100 && cents <= 100)) throw new RangeError(`Master tuning must be -100 to 100 cents, got ${cents}`);
+    const value = Math.min(0x3FFF, Math.round(0x2000 + cents / 100 * 0x2000));
+    return [0xF0, 0x7F, 0x7F, 0x04, 0x03, value & 0x7F, value >> 7, 0xF7];
+  }
+
+  /**
+   * Offset a part's filter or envelope setting. The part is taken to be the
+   * one receiving on `channel`, as it is after a reset. GS only accepts
+   * offsets of -50 to +50 and clamps to that.
+   * @param {string} standard - A SYSEX_STANDARDS id
+   * @param {number} channel - 0-15
+   * @param {string} param - A PART_PARAMS id
+   * @param {number} offset - -64 to +63, 0 leaves the voice as programmed
+   * @returns {number[]}
+   */
+  static partParameter(standard, channel, param, offset) {
+    assertStandard(standard);
+    assertRange('channel', channel, 0, 15);
+    assertRange('offset', offset, -64, 63);
+    const { [standard]: address } = find(PART_PARAMS, param, 'part parameter');
+    if (standard === 'xg') return SysexEncoder.xgParameter([0x08, channel, address], [offset + 64]);
+    // GS numbers its part blocks 1-9, 0 (the drum part on channel 10), A-F
+    const block = channel < 9 ? channel + 1 : channel === 9 ? 0 : channel;
+    return SysexEncoder.gsParameter([0x40, 0x10 | block, address], [Math.max(-50, Math.min(50, offset)) + 64]);
+  }
+
+  /** Universal Identity Request to all devices. */
+  static identityRequest() {
+    return [0xF0, 0x7E, 0x7F, 0x06, 0x01, 0xF7];
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * SysexPanel - Settings panel for XG/GS SysEx: resets, effects, tuning and part parameters.
+ *
+ * Builds a small form inside the given container: the SysEx standard with
+ * a Detect button that asks the instrument for its identity, XG System On
+ * (or GS Reset) and GM Reset buttons, reverb and chorus type selects
+ * listing what the standard offers, master tuning, and filter/envelope
+ * offsets for a chosen channel's part. Every change is sent at once.
+ *
+ * SysEx needs permission the page may not have yet, so `enable` is awaited
+ * before anything is sent (e.g. MidiOutputManager.enableSysex()). The
+ * chosen standard is kept in localStorage; the other values mirror the
+ * instrument and go back to its defaults after a reset.
+ *
+ * Usage:
+ *   const panel = new SysexPanel(container, {
+ *     send: data => output.send(data),
+ *     enable: () => outputs.enableSysex(),
+ *     detect: () => new InstrumentDetector(outputs.access).detect(outputs.current)
+ *   });
+ *   panel.setChannel(+channelSelect.value);
+ */
+import { SysexEncoder, SYSEX_STANDARDS, REVERB_TYPES, CHORUS_TYPES, PART_PARAMS } from './SysexEncoder.js';
+import { InstrumentDetector } from './InstrumentDetector.js';
+
+// what XG System On and GS Reset select
+const DEFAULT_EFFECTS = {
+  xg: { reverb: 'hall1', chorus: 'chorus1' },
+  gs: { reverb: 'hall2', chorus: 'chorus3' }
+};
+
+export class SysexPanel {
+  /**
+   * @param {HTMLElement} container
+   * @param {object} options
+   * @param {Function} options.send - (data) => void
+   * @param {Function} options.enable - async () => boolean, whether SysEx can be sent
+   * @param {Function} options.detect - async () => identity|null, see InstrumentDetector (optional)
+   * @param {number[]} options.channels - Channels whose parts can be edited (default all 16)
+   * @param {string} options.storageKey - localStorage key for the standard (default 'sysexStandard')
+   */
+  constructor(container, { send, enable = async () => true, detect = null,
+                           channels = [...Array(16).keys()], storageKey = 'sysexStandard' } = {}) {
+    this.container = container;
+    this.send = send;
+    this.enable = enable;
+    this.detect = detect;
+    this.channels = channels;
+    this.storageKey = storageKey;
+    const saved = localStorage.getItem(storageKey);
+    this.standard = SYSEX_STANDARDS.some(s => s.id === saved) ? saved : 'xg';
+    this.channel = channels[0];
+    this.parts = {};      // channel -> { param id: offset }
+    this.build();
+    this.reset();
+  }
+
+  build() {
+    const c = this.container;
+    c.innerHTML = '';
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    const button = (text, onclick) => {
+      const b = document.createElement('button');
+      b.textContent = text;
+      b.addEventListener('click', onclick);
+      return b;
+    };
+    const select = (options, onchange) => {
+      const s = document.createElement('select');
+      options.forEach(([value, text]) => {
+        const o = document.createElement('option');
+        o.value = value; o.textContent = text;
+        s.appendChild(o);
+      });
+      s.addEventListener('change', onchange);
+      return s;
+    };
+    const row = (...children) => {
+      const div = document.createElement('div');
+      div.className = 'sysex-row';
+      div.append(...children);
+      return div;
+    };
+
+    this.standardSelect = select(SYSEX_STANDARDS.map(s => [s.id, s.label]), () => {
+      this.setStandard(this.standardSelect.value);
+    });
+    this.identityEl = document.createElement('span');
+    this.identityEl.className = 'sysex-identity';
+    const detectBtn = button('Detect', () => this.identify());
+    detectBtn.hidden = !this.detect;
+    this.resetBtn = button('', () => this.transmit(() => SysexEncoder.reset(this.standard), () => this.reset()));
+    const gmBtn = button('GM Reset', () => this.transmit(() => SysexEncoder.gmReset(), () => this.reset()));
+
+    this.reverbSelect = select([], () => this.transmit(() => SysexEncoder.reverbType(this.standard, this.reverbSelect.value)));
+    this.chorusSelect = select([], () => this.transmit(() => SysexEncoder.chorusType(this.standard, this.chorusSelect.value)));
+    this.tuningInput = document.createElement('input');
+    Object.assign(this.tuningInput, { type: 'range', min: -100, max: 100, step: 1 });
+    this.tuningValue = document.createElement('span');
+    this.tuningInput.addEventListener('input', () => {
+      this.tuningValue.textContent = `${this.tuningInput.value}¢`;
+      this.transmit(() => SysexEncoder.masterTuning(+this.tuningInput.value));
+    });
+
+    this.partSelect = select(this.channels.map(ch => [ch, `Channel ${ch + 1}`]), () => {
+      this.setChannel(+this.partSelect.value);
+    });
+    this.partInputs = {};
+    const partFields = PART_PARAMS.map(p => {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'range', min: -64, max: 63, step: 1, title: `${p.label} offset` });
+      input.addEventListener('input', () => {
+        const channel = this.channel;
+        this.parts[channel][p.id] = +input.value;
+        this.transmit(() => SysexEncoder.partParameter(this.standard, channel, p.id, +input.value));
+      });
+      this.partInputs[p.id] = input;
+      return field(`${p.label}:`, input);
+    });
+    const partResetBtn = button('Reset part', () => {
+      const channel = this.channel;
+      PART_PARAMS.forEach(p => { this.parts[channel][p.id] = 0; });
+      this.showPart();
+      this.transmit(() => PART_PARAMS.flatMap(p => SysexEncoder.partParameter(this.standard, channel, p.id, 0)));
+    });
+
+    c.append(
+      row(field('Standard:', this.standardSelect), detectBtn, this.identityEl, this.resetBtn, gmBtn),
+      row(field('Reverb type:', this.reverbSelect), field('Chorus type:', this.chorusSelect),
+          field('Master tuning:', this.tuningInput), this.tuningValue),
+      row(field('Part:', this.partSelect), ...partFields, partResetBtn)
+    );
+  }
+
+  /**
+   * Switch dialect; effect lists change to what the standard has.
+   * @param {string} standard - A SYSEX_STANDARDS id
+   */
+  setStandard(standard) {
+    this.standard = standard;
+    localStorage.setItem(this.storageKey, standard);
+    this.standardSelect.value = standard;
+    this.resetBtn.textContent = standard === 'xg' ? 'XG System On' : 'GS Reset';
+    for (const [selectEl, list] of [[this.reverbSelect, REVERB_TYPES], [this.chorusSelect, CHORUS_TYPES]]) {
+      selectEl.innerHTML = '';
+      SysexEncoder.supported(list, standard).forEach(t => {
+        const o = document.createElement('option');
+        o.value = t.id; o.textContent = t.label;
+        selectEl.appendChild(o);
+      });
+    }
+    this.reverbSelect.value = DEFAULT_EFFECTS[standard].reverb;
+    this.chorusSelect.value = DEFAULT_EFFECTS[standard].chorus;
+  }
+
+  /**
+   * Choose the part whose parameters are shown.
+   * @param {number} channel - One of `channels`
+   */
+  setChannel(channel) {
+    if (!this.channels.includes(channel)) return;
+    this.channel = channel;
+    this.partSelect.value = channel;
+    this.showPart();
+  }
+
+  showPart() {
+    PART_PARAMS.forEach(p => { this.partInputs[p.id].value = this.parts[this.channel][p.id]; });
+  }
+
+  /** Show the instrument's defaults, as after a reset. */
+  reset() {
+    this.setStandard(this.standard);
+    this.tuningInput.value = 0;
+    this.tuningValue.textContent = '0¢';
+    this.channels.forEach(ch => {
+      this.parts[ch] = Object.fromEntries(PART_PARAMS.map(p => [p.id, 0]));
+    });
+    this.showPart();
+  }
+
+  /**
+   * Get permission if needed, then send.
+   * @param {Function} build - () => bytes
+   * @param {Function} after - Called once sent (optional)
+   */
+  async transmit(build, after = null) {
+    if (!(await this.enable())) {
+      alert('Sending SysEx needs MIDI SysEx permission.');
+      return;
+    }
+    try {
+      this.send(build());
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    after?.();
+  }
+
+  async identify() {
+    if (!(await this.enable())) {
+      alert('Detecting the instrument needs MIDI SysEx permission.');
+      return;
+    }
+    this.identityEl.textContent = 'Asking…';
+    const identity = await this.detect();
+    if (!identity) {
+      this.identityEl.textContent = 'No reply (is the instrument\'s MIDI out connected?)';
+      return;
+    }
+    this.identityEl.textContent = InstrumentDetector.describe(identity);
+    if (identity.standard && identity.standard !== this.standard) this.setStandard(identity.standard);
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * TempoMap - Converts between SMF ticks and seconds.
+ *
+ * Collects every Set Tempo meta event across all tracks (format 1 files keep
+ * them in the first track, but nothing stops other tracks from having them)
+ * and precomputes the elapsed time at each tempo change.
+ */
+import { META } from './SmfReader.js';
+
+const DEFAULT_TEMPO = 500000; // microseconds per quarter note (120 BPM)
+
+export class TempoMap {
+  /**
+   * @param {{ticksPerBeat: number|null, smpte: object|null, tracks: object[]}} smf - From SmfReader.parse()
+   */
+  constructor(smf) {
+    this.ticksPerBeat = smf.ticksPerBeat;
+    this.smpte = smf.smpte;
+
+    const changes = [];
+    for (const track of smf.tracks) {
+      for (const ev of track.events) {
+        if (ev.kind === 'meta' && ev.metaType === META.TEMPO && ev.data.length >= 3) {
+          changes.push({ tick: ev.tick, tempo: (ev.data[0] << 16) | (ev.data[1] << 8) | ev.data[2] });
+        }
+      }
+    }
+    changes.sort((a, b) => a.tick - b.tick);
+
+    // Segments of constant tempo: { tick, seconds, tempo }
+    this.segments = [{ tick: 0, seconds: 0, tempo: DEFAULT_TEMPO }];
+    for (const change of changes) {
+      const last = this.segments[this.segments.length - 1];
+      const seconds = last.seconds + this.ticksToSecondsAt(change.tick - last.tick, last.tempo);
+      if (change.tick === last.tick) {
+        last.tempo = change.tempo;
+      } else {
+        this.segments.push({ tick: change.tick, seconds, tempo: change.tempo });
+      }
+    }
+  }
+
+  ticksToSecondsAt(ticks, tempo) {
+    if (this.smpte) {
+      return ticks / (this.smpte.fps * this.smpte.ticksPerFrame);
+    }
+    return (ticks * tempo) / (this.ticksPerBeat * 1e6);
+  }
+
+  segmentForTick(tick) {
+    let i = this.segments.length - 1;
+    while (i > 0 && this.segments[i].tick > tick) i--;
+    return this.segments[i];
+  }
+
+  /**
+   * @param {number} tick
+   * @returns {number} Seconds from the start of the file
+   */
+  tickToSeconds(tick) {
+    const seg = this.segmentForTick(tick);
+    return seg.seconds + this.ticksToSecondsAt(tick - seg.tick, seg.tempo);
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {number} Tick position (fractional)
+   */
+  secondsToTick(seconds) {
+    let i = this.segments.length - 1;
+    while (i > 0 && this.segments[i].seconds > seconds) i--;
+    const seg = this.segments[i];
+    const perTick = this.ticksToSecondsAt(1, seg.tempo);
+    return seg.tick + (seconds - seg.seconds) / perTick;
+  }
+
+  /**
+   * Tempo in BPM at a tick position.
+   * @param {number} tick
+   * @returns {number}
+   */
+  bpmAt(tick) {
+    return 60e6 / this.segmentForTick(tick).tempo;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Transport - Tempo and step timing shared by the arpeggiator and sequencer.
+ *
+ * Runs at MIDI clock resolution, 24 pulses per quarter note, and counts
+ * sixteenth-note steps (by default) on top of that. Each pulse goes to
+ * `onpulse` and each step to `onstep` a short lookahead before it is due,
+ * with the performance.now()-based time it should sound. Consumers pass
+ * that time on to MIDIOutput.send(data, timestamp), so steps land on time
+ * even when the timer itself fires late.
+ *
+ * With `external` set the transport keeps no time of its own: a clock
+ * follower calls pulse() for every clock received instead (see MidiClock).
+ * The position is kept across stop() so continue() can pick up where it
+ * left off, and locate() moves it as a Song Position Pointer would.
+ *
+ * Usage:
+ *   const transport = new Transport({ bpm: 120 });
+ *   transport.onstep = (step, time, duration) => {
+ *     arp.step(step, time, duration).forEach(e => output.send(e.data, e.time));
+ *   };
+ *   transport.start();
+ */
+
+export const PPQN = 24;
+
+export class Transport {
+  /**
+   * @param {object} options
+   * @param {number} options.bpm - Tempo, 20-300 (default 120)
+   * @param {number} options.stepsPerBeat - Steps per quarter note, a divisor of 24 (default 4)
+   * @param {number} options.lookahead - Seconds scheduled ahead (default 0.1)
+   * @param {number} options.interval - Scheduler timer period in ms (default 25)
+   */
+  constructor({ bpm = 120, stepsPerBeat = 4, lookahead = 0.1, interval = 25 } = {}) {
+    if (PPQN % stepsPerBeat !== 0) throw new RangeError(`stepsPerBeat must divide ${PPQN}, got ${stepsPerBeat}`);
+    this.setBpm(bpm);
+    this.stepsPerBeat = stepsPerBeat;
+    this.lookahead = lookahead;
+    this.interval = interval;
+    this.external = false;
+    this.running = false;
+    this.timer = null;
+    this.pulses = 0;        // Next pulse to schedule, from the start of the song
+    this.nextTime = 0;      // performance.now() time of that pulse
+
+    this.onpulse = null;    // (pulse, time) => void
+    this.onstep = null;     // (step, time, duration) => void
+    this.onstart = null;    // (resumed) => void
+    this.onstop = null;
+  }
+
+  /**
+   * @param {number} bpm - 20-300
+   */
+  setBpm(bpm) {
+    if (!(bpm >= 20 && bpm <= 300)) throw new RangeError(`bpm must be 20-300, got ${bpm}`);
+    this.bpm = bpm;
+  }
+
+  get pulsesPerStep() {
+    return PPQN / this.stepsPerBeat;
+  }
+
+  /** Length of one pulse in ms. */
+  get pulseDuration() {
+    return 60000 / this.bpm / PPQN;
+  }
+
+  /** Length of one step in ms. */
+  get stepDuration() {
+    return 60000 / this.bpm / this.stepsPerBeat;
+  }
+
+  /** Next step to play, counted from the start of the song. */
+  get step() {
+    return Math.ceil(this.pulses / this.pulsesPerStep);
+  }
+
+  get playing() {
+    return this.running;
+  }
+
+  /** Play from the top. */
+  start() {
+    if (this.running) return;
+    this.pulses = 0;
+    this.run(false);
+  }
+
+  /** Play from the current position. */
+  continue() {
+    if (this.running) return;
+    // restart on a step boundary so steps keep their place in the bar
+    this.pulses = this.step * this.pulsesPerStep;
+    this.run(true);
+  }
+
+  stop() {
+    if (!this.running) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.running = false;
+    this.onstop?.();
+  }
+
+  /**
+   * Move the position while stopped.
+   * @param {number} step - Steps from the start of the song
+   */
+  locate(step) {
+    this.pulses = Math.max(0, step) * this.pulsesPerStep;
+  }
+
+  run(resumed) {
+    this.running = true;
+    this.onstart?.(resumed);
+    if (this.external) return;
+    this.nextTime = performance.now() + 10;
+    this.timer = setInterval(() => this.schedule(), this.interval);
+    this.schedule();
+  }
+
+  schedule() {
+    const horizon = performance.now() + this.lookahead * 1000;
+    while (this.nextTime < horizon) {
+      const time = this.nextTime;
+      this.nextTime += this.pulseDuration;
+      this.pulse(time);
+    }
+  }
+
+  /**
+   * Play one clock pulse; called by the scheduler, or by a clock follower
+   * when `external` is set.
+   * @param {number} time - performance.now()-based time of the pulse
+   */
+  pulse(time) {
+    if (!this.running) return;
+    const pulse = this.pulses++;
+    this.onpulse?.(pulse, time);
+    if (pulse % this.pulsesPerStep === 0) {
+      this.onstep?.(pulse / this.pulsesPerStep, time, this.stepDuration);
+    }
+  }
+}
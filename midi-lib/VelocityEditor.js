@@ -0,0 +1,188 @@
+/**
+ * VelocityEditor - Settings panel for a VelocityShaper, with a live curve graph.
+ *
+ * Builds a small form inside the given container: the velocity source,
+ * the curve, minimum and maximum velocity (or the fixed velocity), and a
+ * graph of input against velocity. Notes played through the shaper show
+ * as dots on the graph for a moment, so a curve can be judged while
+ * playing. The settings are kept in localStorage.
+ *
+ * Usage:
+ *   const velocity = new VelocityEditor(container).shaper;
+ *   const vel = velocity.velocity(e, heightFraction);
+ */
+import { VelocityShaper, VELOCITY_CURVES, VELOCITY_SOURCES } from './VelocityShaper.js';
+
+const MARK_LIFETIME = 1500;   // ms a played note stays on the graph
+const MARK_LIMIT = 16;
+
+export class VelocityEditor {
+  /**
+   * @param {HTMLElement} container
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'velocitySettings')
+   */
+  constructor(container, { storageKey = 'velocitySettings' } = {}) {
+    this.container = container;
+    this.storageKey = storageKey;
+    this.shaper = new VelocityShaper();
+    try {
+      this.shaper.set(JSON.parse(localStorage.getItem(storageKey) || '{}'));
+    } catch (err) {
+      console.warn('Ignoring unreadable velocity settings:', err);
+    }
+    this.shaper.onshape = (input, velocity) => this.mark(input, velocity);
+    this.marks = [];      // { input, velocity, time }
+    this.frame = null;
+    this.build();
+    this.show();
+  }
+
+  build() {
+    const c = this.container;
+    c.innerHTML = '';
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    const select = options => {
+      const s = document.createElement('select');
+      options.forEach(({ id, label }) => {
+        const o = document.createElement('option');
+        o.value = id; o.textContent = label;
+        s.appendChild(o);
+      });
+      s.addEventListener('change', () => this.changed());
+      return s;
+    };
+    const number = () => {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'number', min: 1, max: 127 });
+      input.addEventListener('change', () => this.changed());
+      return input;
+    };
+    const row = (...children) => {
+      const div = document.createElement('div');
+      div.className = 'velocity-row';
+      div.append(...children);
+      return div;
+    };
+
+    this.sourceSelect = select(VELOCITY_SOURCES);
+    this.curveSelect = select(VELOCITY_CURVES);
+    this.minInput = number();
+    this.maxInput = number();
+    this.fixedInput = number();
+    this.rangeFields = [field('Min:', this.minInput), field('Max:', this.maxInput)];
+    this.fixedField = field('Velocity:', this.fixedInput);
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'velocity-graph';
+    this.canvas.width = 240;
+    this.canvas.height = 140;
+    this.canvas.setAttribute('aria-label', 'Velocity curve');
+
+    c.append(
+      row(field('Source:', this.sourceSelect), field('Curve:', this.curveSelect),
+          ...this.rangeFields, this.fixedField),
+      this.canvas
+    );
+  }
+
+  /** Put the shaper's settings in the form. */
+  show() {
+    const s = this.shaper;
+    this.sourceSelect.value = s.source;
+    this.curveSelect.value = s.curve;
+    this.minInput.value = s.min;
+    this.maxInput.value = s.max;
+    this.fixedInput.value = s.fixed;
+    const fixed = s.curve === 'fixed';
+    this.rangeFields.forEach(f => { f.hidden = fixed; });
+    this.fixedField.hidden = !fixed;
+    this.draw();
+  }
+
+  changed() {
+    try {
+      this.shaper.set({
+        source: this.sourceSelect.value,
+        curve: this.curveSelect.value,
+        min: +this.minInput.value,
+        max: +this.maxInput.value,
+        fixed: +this.fixedInput.value
+      });
+      localStorage.setItem(this.storageKey, JSON.stringify(this.shaper));
+    } catch (err) {
+      alert(err.message);
+    }
+    this.show();
+  }
+
+  /**
+   * Show a played note on the graph.
+   * @param {number} input - 0-1
+   * @param {number} velocity
+   */
+  mark(input, velocity) {
+    this.marks.push({ input, velocity, time: performance.now() });
+    if (this.marks.length > MARK_LIMIT) this.marks.shift();
+    if (!this.frame) this.frame = requestAnimationFrame(() => this.fade());
+  }
+
+  // redraw until the marks have faded
+  fade() {
+    const now = performance.now();
+    this.marks = this.marks.filter(m => now - m.time < MARK_LIFETIME);
+    this.draw(now);
+    this.frame = this.marks.length ? requestAnimationFrame(() => this.fade()) : null;
+  }
+
+  draw(now = performance.now()) {
+    const { canvas, shaper } = this;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width, h = canvas.height;
+    const x = input => input * (w - 1);
+    const y = velocity => h - 1 - velocity / 127 * (h - 1);
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, 0, w, h);
+
+    // Quarter grid
+    ctx.strokeStyle = '#444';
+    ctx.beginPath();
+    for (let i = 1; i < 4; i++) {
+      ctx.moveTo(x(i / 4), 0);
+      ctx.lineTo(x(i / 4), h);
+      ctx.moveTo(0, y(i * 127 / 4));
+      ctx.lineTo(w, y(i * 127 / 4));
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillText('127', 2, 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(VELOCITY_SOURCES.find(s => s.id === shaper.source).label, w / 2 - 30, h - 2);
+
+    ctx.strokeStyle = '#4CAF50';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let px = 0; px < w; px++) {
+      const v = shaper.apply(px / (w - 1));
+      px ? ctx.lineTo(px, y(v)) : ctx.moveTo(px, y(v));
+    }
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    ctx.fillStyle = '#FFC107';
+    for (const m of this.marks) {
+      ctx.globalAlpha = Math.max(0, 1 - (now - m.time) / MARK_LIFETIME);
+      ctx.beginPath();
+      ctx.arc(x(m.input), y(m.velocity), 4, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+  }
+}
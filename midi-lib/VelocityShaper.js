@@ -0,0 +1,160 @@
+/**
+ * VelocityShaper - Turns touch height, pointer speed or pressure into note velocity.
+ *
+ * The input, 0-1, comes from one of three sources:
+ *
+ *   position - how high on the playing area the touch lands
+ *   speed    - how fast the pointer was moving, `speedRange` px/ms for
+ *              full input; a touch that has not moved yet uses its height
+ *   pressure - PointerEvent.pressure; mice (which report a flat 0.5) and
+ *              devices reporting no pressure use the height instead
+ *
+ * It is then bent by a curve and scaled into `min`-`max`, or replaced by
+ * `fixed` with the 'fixed' curve. Pages call track() from their pointer
+ * listeners so speed is known, and velocity() when a note starts.
+ *
+ * Usage:
+ *   const shaper = new VelocityShaper({ curve: 'soft', min: 30, source: 'speed' });
+ *   canvas.addEventListener('pointermove', e => shaper.track(e));
+ *   const vel = shaper.velocity(e, heightFraction);
+ */
+
+export const VELOCITY_CURVES = [
+  { id: 'linear', label: 'Linear', shape: x => x },
+  { id: 'soft', label: 'Soft', shape: x => x ** 0.6 },
+  { id: 'hard', label: 'Hard', shape: x => x ** 1.7 },
+  { id: 'exponential', label: 'Exponential', shape: x => (Math.exp(4 * x) - 1) / (Math.exp(4) - 1) },
+  { id: 'fixed', label: 'Fixed', shape: null }
+];
+
+export const VELOCITY_SOURCES = [
+  { id: 'position', label: 'Touch height' },
+  { id: 'speed', label: 'Pointer speed' },
+  { id: 'pressure', label: 'Pressure' }
+];
+
+// a pointer that has not moved for this long is standing still
+const SPEED_TIMEOUT = 100;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function assertRange(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RangeError(`${name} must be ${min}-${max}, got ${value}`);
+  }
+}
+
+/**
+ * Apply a velocity curve to a note-on velocity.
+ * @param {number} velocity - 1-127
+ * @param {string} curve - A VELOCITY_CURVES id
+ * @param {number} fixed - Velocity for 'fixed'
+ * @returns {number} 1-127
+ */
+export function shapeVelocity(velocity, curve, fixed = 100) {
+  if (curve === 'fixed') return fixed;
+  const { shape } = VELOCITY_CURVES.find(c => c.id === curve) || VELOCITY_CURVES[0];
+  return clamp(Math.round(shape(velocity / 127) * 127), 1, 127);
+}
+
+export class VelocityShaper {
+  /**
+   * @param {object} settings - See set()
+   */
+  constructor(settings = {}) {
+    this.pointers = new Map();  // pointerId -> { x, y, time, speed }
+    this.onshape = null;        // (input, velocity) => void, for every velocity() result
+    this.set({ curve: 'linear', min: 1, max: 127, fixed: 100, source: 'position', speedRange: 2, ...settings });
+  }
+
+  /**
+   * @param {object} settings
+   * @param {string} settings.curve - A VELOCITY_CURVES id
+   * @param {number} settings.min - Softest velocity, 1-127
+   * @param {number} settings.max - Loudest velocity, min-127
+   * @param {number} settings.fixed - Velocity of the 'fixed' curve, 1-127
+   * @param {string} settings.source - A VELOCITY_SOURCES id
+   * @param {number} settings.speedRange - Pointer speed in px/ms that gives full velocity
+   */
+  set(settings) {
+    const s = { ...this.toJSON?.(), speedRange: this.speedRange, ...settings };
+    if (!VELOCITY_CURVES.some(c => c.id === s.curve)) throw new RangeError(`Unknown velocity curve: ${s.curve}`);
+    if (!VELOCITY_SOURCES.some(src => src.id === s.source)) throw new RangeError(`Unknown velocity source: ${s.source}`);
+    assertRange('Minimum velocity', s.min, 1, 127);
+    assertRange('Maximum velocity', s.max, 1, 127);
+    if (s.min > s.max) throw new RangeError(`Minimum velocity ${s.min} is above the maximum ${s.max}`);
+    assertRange('Fixed velocity', s.fixed, 1, 127);
+    if (!(s.speedRange > 0)) throw new RangeError(`speedRange must be positive, got ${s.speedRange}`);
+    Object.assign(this, s);
+  }
+
+  /** Settings as saved. */
+  toJSON() {
+    const { curve, min, max, fixed, source } = this;
+    return { curve, min, max, fixed, source };
+  }
+
+  /**
+   * Velocity for an input.
+   * @param {number} input - 0-1
+   * @returns {number} 1-127
+   */
+  apply(input) {
+    if (this.curve === 'fixed') return this.fixed;
+    const { shape } = VELOCITY_CURVES.find(c => c.id === this.curve);
+    return Math.round(this.min + shape(clamp(input, 0, 1)) * (this.max - this.min));
+  }
+
+  /**
+   * Follow a pointer's movement, for the speed source.
+   * @param {PointerEvent} e
+   */
+  track(e) {
+    const last = this.pointers.get(e.pointerId);
+    let speed = 0;
+    if (last) {
+      const dt = e.timeStamp - last.time;
+      if (dt > SPEED_TIMEOUT) speed = 0;
+      else if (dt > 0) speed = (last.speed + Math.hypot(e.clientX - last.x, e.clientY - last.y) / dt) / 2;
+      else speed = last.speed;
+    }
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, time: e.timeStamp, speed });
+  }
+
+  /**
+   * @param {number} pointerId - A lifted pointer
+   */
+  forget(pointerId) {
+    this.pointers.delete(pointerId);
+  }
+
+  /**
+   * The 0-1 input the source gives for an event.
+   * @param {PointerEvent} e
+   * @param {number} height - 0 (bottom) to 1 (top) of the playing area
+   * @returns {number}
+   */
+  input(e, height) {
+    if (this.source === 'pressure' && e.pointerType !== 'mouse' && e.pressure > 0) return e.pressure;
+    if (this.source === 'speed') {
+      const p = this.pointers.get(e.pointerId);
+      if (p?.speed > 0 && e.timeStamp - p.time <= SPEED_TIMEOUT) return Math.min(1, p.speed / this.speedRange);
+    }
+    return height;
+  }
+
+  /**
+   * Velocity for a note started by a pointer event.
+   * @param {PointerEvent} e
+   * @param {number} height - 0 (bottom) to 1 (top) of the playing area
+   * @returns {number} 1-127
+   */
+  velocity(e, height) {
+    const input = this.input(e, height);
+    const velocity = this.apply(input);
+    this.onshape?.(input, velocity);
+    return velocity;
+  }
+}
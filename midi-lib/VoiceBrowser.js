@@ -0,0 +1,212 @@
+/**
+ * VoiceBrowser - Searchable voice list panel on top of a VoiceLibrary.
+ *
+ * Builds its own controls inside the given container: a search box, one
+ * toggle per VOICE_TAGS entry, an All / Favorites / Recent view switch and
+ * the result list, where each row has a ☆ button to (un)favorite it.
+ * Clicking a row selects the voice. prev() and next() step through the
+ * list as currently filtered, wrapping at the ends, so a foot controller
+ * can walk the results hands-free.
+ *
+ * The list keeps its order while stepping; it is rebuilt only when the
+ * query, tags, view or favorites change. Styling is left to the page via
+ * the `vb-*` class names.
+ *
+ * Usage:
+ *   const browser = new VoiceBrowser(panel, library, {
+ *     onselect: voice => selectVoice(voice)
+ *   });
+ *   footSwitch.onpress = () => browser.next();
+ */
+import { VOICE_TAGS } from './VoiceLibrary.js';
+
+const VIEWS = [
+  { id: 'all', label: 'All' },
+  { id: 'favorites', label: '★ Favorites' },
+  { id: 'recent', label: 'Recent' }
+];
+
+export class VoiceBrowser {
+  /**
+   * @param {HTMLElement} container
+   * @param {VoiceLibrary} library
+   * @param {object} options
+   * @param {Function} options.onselect - (voice) => void, when the user picks or steps to a voice
+   */
+  constructor(container, library, { onselect = null } = {}) {
+    this.container = container;
+    this.library = library;
+    this.onselect = onselect;
+    this.query = '';
+    this.tags = [];
+    this.view = 'all';
+    this.results = [];
+    this.currentKey = null;
+    this.build();
+    this.update();
+  }
+
+  build() {
+    const c = this.container;
+    c.classList.add('voice-browser');
+    c.innerHTML = '';
+
+    const bar = document.createElement('div');
+    bar.className = 'vb-bar';
+    const prevBtn = document.createElement('button');
+    prevBtn.textContent = '◀';
+    prevBtn.setAttribute('aria-label', 'Previous voice');
+    prevBtn.onclick = () => this.prev();
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'search';
+    this.searchInput.placeholder = 'Search voices…';
+    this.searchInput.oninput = () => {
+      this.query = this.searchInput.value;
+      this.update();
+    };
+    const nextBtn = document.createElement('button');
+    nextBtn.textContent = '▶';
+    nextBtn.setAttribute('aria-label', 'Next voice');
+    nextBtn.onclick = () => this.next();
+    this.viewSelect = document.createElement('select');
+    VIEWS.forEach(v => {
+      const o = document.createElement('option');
+      o.value = v.id; o.textContent = v.label;
+      this.viewSelect.appendChild(o);
+    });
+    this.viewSelect.onchange = () => {
+      this.view = this.viewSelect.value;
+      this.update();
+    };
+    bar.append(prevBtn, this.searchInput, nextBtn, this.viewSelect);
+
+    const tagBar = document.createElement('div');
+    tagBar.className = 'vb-tags';
+    VOICE_TAGS.forEach(tag => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.onchange = () => {
+        this.tags = box.checked ? [...this.tags, tag.id] : this.tags.filter(t => t !== tag.id);
+        this.update();
+      };
+      label.append(box, ` ${tag.label}`);
+      tagBar.appendChild(label);
+    });
+
+    this.list = document.createElement('ul');
+    this.list.className = 'vb-results';
+    c.append(bar, tagBar, this.list);
+  }
+
+  /**
+   * Browse a different library, e.g. after switching instrument profile.
+   * @param {VoiceLibrary} library
+   */
+  setLibrary(library) {
+    this.library = library;
+    this.currentKey = null;
+    this.update();
+  }
+
+  /** Voices for the current query, tags and view. */
+  filter() {
+    const { library } = this;
+    const matches = library.search(this.query, {
+      tags: this.tags,
+      favoritesOnly: this.view === 'favorites'
+    });
+    if (this.view !== 'recent') return matches;
+    const keys = new Set(matches.map(v => v.key));
+    return library.recents().filter(v => keys.has(v.key));
+  }
+
+  /** Re-run the filter and redraw the list. */
+  update() {
+    this.results = this.filter();
+    this.list.innerHTML = '';
+    this.results.forEach(voice => {
+      const li = document.createElement('li');
+      li.dataset.key = voice.key;
+      const star = document.createElement('button');
+      star.className = 'vb-star';
+      star.textContent = this.library.isFavorite(voice.key) ? '★' : '☆';
+      star.setAttribute('aria-label', 'Toggle favorite');
+      star.onclick = e => {
+        e.stopPropagation();
+        this.library.toggleFavorite(voice.key);
+        this.update();
+      };
+      const name = document.createElement('span');
+      name.className = 'vb-name';
+      name.textContent = voice.name;
+      const category = document.createElement('span');
+      category.className = 'vb-category';
+      category.textContent = voice.category;
+      li.append(star, name, category);
+      li.onclick = () => this.select(voice);
+      this.list.appendChild(li);
+    });
+    if (!this.results.length) {
+      const li = document.createElement('li');
+      li.className = 'vb-empty';
+      li.textContent = this.view === 'all' ? 'No matching voices' : `No ${this.view} voices`;
+      this.list.appendChild(li);
+    }
+    this.highlight();
+  }
+
+  highlight() {
+    let active = null;
+    for (const li of this.list.children) {
+      const on = li.dataset.key === this.currentKey;
+      li.classList.toggle('vb-current', on);
+      if (on && !active) active = li;
+    }
+    active?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  /**
+   * Pick a voice as if the user clicked it.
+   * @param {object} voice - A VoiceLibrary entry
+   */
+  select(voice) {
+    this.currentKey = voice.key;
+    this.library.markUsed(voice.key);
+    this.highlight();
+    this.onselect?.(voice);
+  }
+
+  /**
+   * Mark the voice chosen elsewhere on the page, without calling onselect.
+   * @param {string} key - "msb,lsb,program"
+   */
+  setCurrent(key) {
+    this.currentKey = key;
+    this.highlight();
+  }
+
+  /**
+   * Move through the filtered list, wrapping around.
+   * @param {number} delta - +1 for next, -1 for previous
+   * @returns {object|null} The voice stepped to
+   */
+  step(delta) {
+    const list = this.results;
+    if (!list.length) return null;
+    const at = list.findIndex(v => v.key === this.currentKey);
+    const index = at < 0
+      ? (delta > 0 ? 0 : list.length - 1)
+      : (at + delta + list.length) % list.length;
+    this.select(list[index]);
+    return list[index];
+  }
+
+  next() {
+    return this.step(1);
+  }
+
+  prev() {
+    return this.step(-1);
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * VoiceLibrary - Search, tag filtering, favorites and recents over a voice list.
+ *
+ * Works on the `{ CATEGORY: [{ msb, lsb, program, name }] }` shape of
+ * window.VOICE_LIST. Voices are identified by their "msb,lsb,program" key,
+ * the same string the voice <select>s use as option value, so a favorite
+ * follows the sound rather than its position in a category.
+ *
+ * Favorites and the recently-used list are kept in localStorage.
+ *
+ * Usage:
+ *   const library = new VoiceLibrary(window.VOICE_LIST);
+ *   library.search('grnd pno', { tags: ['live'] });
+ *   library.toggleFavorite('0,115,0');
+ *   library.markUsed('0,115,0');
+ */
+
+export const VOICE_TAGS = [
+  { id: 'sart', label: 'S.Art Lite', pattern: /S\.Art/i },
+  { id: 'live', label: 'Live!', pattern: /\bLive!/i },
+  { id: 'cool', label: 'Cool!', pattern: /\bCool!/i },
+  { id: 'sweet', label: 'Sweet!', pattern: /\bSweet!/i },
+  { id: 'mega', label: 'Mega Voice', pattern: /\bMega/i }
+];
+
+/**
+ * @param {{msb: number, lsb: number, program: number}} voice
+ * @returns {string}
+ */
+export function voiceKey(voice) {
+  return `${voice.msb},${voice.lsb},${voice.program}`;
+}
+
+/**
+ * Subsequence match of `query` in `text`, both lower-case. Consecutive
+ * characters and matches at word starts score higher.
+ * @returns {number|null} Score, or null when not every character matches
+ */
+export function fuzzyScore(query, text) {
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const ch of query) {
+    const at = text.indexOf(ch, from);
+    if (at < 0) return null;
+    run = at === from ? run + 1 : 0;
+    score += 1 + run * 2;
+    if (at === 0 || /[\s.!(\-]/.test(text[at - 1])) score += 3;
+    from = at + 1;
+  }
+  return score - text.length * 0.01;  // prefer shorter names on ties
+}
+
+export class VoiceLibrary {
+  /**
+   * @param {Object<string, object[]>} voiceList - e.g. window.VOICE_LIST
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'voiceLibrary')
+   * @param {number} options.recentLimit - Length of the recently-used list (default 12)
+   */
+  constructor(voiceList, { storageKey = 'voiceLibrary', recentLimit = 12 } = {}) {
+    this.storageKey = storageKey;
+    this.recentLimit = recentLimit;
+    this.favoriteKeys = [];
+    this.recentKeys = [];
+    this.setVoiceList(voiceList);
+    this.load();
+  }
+
+  /**
+   * Replace the voice list, keeping favorites and recents.
+   * @param {Object<string, object[]>} voiceList
+   */
+  setVoiceList(voiceList) {
+    this.voices = [];
+    this.byKey = new Map();
+    Object.entries(voiceList).forEach(([category, list]) => {
+      list.forEach(v => {
+        const name = v.name.trim() || `Voice ${voiceKey(v)}`;
+        const tags = v.tags || VOICE_TAGS.filter(t => t.pattern.test(name)).map(t => t.id);
+        const entry = { ...v, name, category, key: voiceKey(v), tags };
+        entry.searchText = `${name} ${category}`.toLowerCase();
+        this.voices.push(entry);
+        if (!this.byKey.has(entry.key)) this.byKey.set(entry.key, entry);
+      });
+    });
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+      this.favoriteKeys = Array.isArray(saved.favorites) ? saved.favorites : [];
+      this.recentKeys = Array.isArray(saved.recent) ? saved.recent : [];
+    } catch (err) {
+      console.warn('Ignoring unreadable voice library state:', err);
+    }
+  }
+
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({
+      favorites: this.favoriteKeys,
+      recent: this.recentKeys
+    }));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {object|null} First voice with that key
+   */
+  get(key) {
+    return this.byKey.get(key) || null;
+  }
+
+  /**
+   * Filter and rank voices. Every whitespace-separated word of the query must
+   * fuzzy-match the voice name or category; every listed tag must be present.
+   * @param {string} query
+   * @param {object} options
+   * @param {string[]} options.tags - Tag ids from VOICE_TAGS
+   * @param {boolean} options.favoritesOnly
+   * @returns {object[]} Voices, best match first (list order when query is empty)
+   */
+  search(query = '', { tags = [], favoritesOnly = false } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+    for (const voice of this.voices) {
+      if (favoritesOnly && !this.isFavorite(voice.key)) continue;
+      if (!tags.every(t => voice.tags.includes(t))) continue;
+      let score = 0;
+      for (const word of words) {
+        const s = fuzzyScore(word, voice.searchText);
+        if (s === null) { score = null; break; }
+        score += s;
+      }
+      if (score !== null) results.push({ voice, score });
+    }
+    if (words.length) results.sort((a, b) => b.score - a.score);
+    return results.map(r => r.voice);
+  }
+
+  isFavorite(key) {
+    return this.favoriteKeys.includes(key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} Whether the voice is a favorite now
+   */
+  toggleFavorite(key) {
+    if (this.isFavorite(key)) {
+      this.favoriteKeys = this.favoriteKeys.filter(k => k !== key);
+    } else {
+      this.favoriteKeys.push(key);
+    }
+    this.save();
+    return this.isFavorite(key);
+  }
+
+  /** @returns {object[]} Favorite voices in the order they were added */
+  favorites() {
+    return this.favoriteKeys.map(k => this.get(k)).filter(Boolean);
+  }
+
+  /**
+   * Move a voice to the front of the recently-used list.
+   * @param {string} key
+   */
+  markUsed(key) {
+    if (!this.get(key)) return;
+    this.recentKeys = [key, ...this.recentKeys.filter(k => k !== key)].slice(0, this.recentLimit);
+    this.save();
+  }
+
+  /** @returns {object[]} Most recent first */
+  recents() {
+    return this.recentKeys.map(k => this.get(k)).filter(Boolean);
+  }
+}
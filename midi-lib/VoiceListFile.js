@@ -0,0 +1,215 @@
+/**
+ * VoiceListFile - Reads, validates and writes voice lists as CSV or JSON.
+ *
+ * CSV has one voice per row: category, msb, lsb, program, name. A header
+ * row naming those columns is optional and may put them in any order;
+ * fields containing commas or quotes are quoted the usual way ("").
+ *
+ * JSON is either the VOICE_LIST object ({ CATEGORY: [{ msb, lsb, program,
+ * name }] }) or a flat array of { category, msb, lsb, program, name }.
+ *
+ * Numbers are the raw MIDI values sent to the instrument (0-127); lists
+ * numbered from 1 are renumbered with fromOneBased() before use. Rows
+ * that cannot be sent are errors; names that look unfinished (blank after a
+ * tag, like "S.Art Lite ") and duplicate voices are warnings.
+ *
+ * Usage:
+ *   const { voiceList, errors, warnings } = VoiceListFile.read(text, 'list.csv');
+ *   if (!errors.length) profiles.save('Genos', voiceList);
+ *   const csv = VoiceListFile.toCsv(voiceList);
+ */
+import { VOICE_TAGS, voiceKey } from './VoiceLibrary.js';
+
+const COLUMNS = ['category', 'msb', 'lsb', 'program', 'name'];
+
+/**
+ * Split CSV text into rows of fields.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function csvField(value) {
+  const s = String(value);
+  return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export class VoiceListFile {
+  /**
+   * Parse and validate a file by its extension (.csv, else JSON).
+   * @param {string} text
+   * @param {string} filename
+   * @returns {{voiceList: object, errors: string[], warnings: string[]}}
+   */
+  static read(text, filename = '') {
+    const rows = /\.csv$/i.test(filename) ? VoiceListFile.parseCsv(text) : VoiceListFile.parseJson(text);
+    return VoiceListFile.validate(rows);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object[]} Rows of { line, category, msb, lsb, program, name }, unvalidated
+   */
+  static parseCsv(text) {
+    const rows = splitCsv(text.replace(/^\uFEFF/, ''));
+    if (!rows.length) throw new Error('CSV file is empty');
+
+    let columns = COLUMNS;
+    let first = 0;
+    const header = rows[0].map(f => f.trim().toLowerCase());
+    if (COLUMNS.every(c => header.includes(c))) {
+      columns = header;
+      first = 1;
+    }
+    const entries = [];
+    for (let i = first; i < rows.length; i++) {
+      const fields = rows[i];
+      if (fields.every(f => !f.trim())) continue;  // blank line
+      const entry = { line: i + 1 };
+      columns.forEach((c, j) => {
+        if (COLUMNS.includes(c)) entry[c] = fields[j];
+      });
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object[]} Rows of { line, category, msb, lsb, program, name }, unvalidated
+   */
+  static parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    if (Array.isArray(data)) {
+      return data.map((v, i) => ({ ...v, line: i + 1 }));
+    }
+    if (data && typeof data === 'object') {
+      const entries = [];
+      Object.entries(data).forEach(([category, list]) => {
+        if (!Array.isArray(list)) throw new Error(`Category "${category}" is not a list of voices`);
+        list.forEach(v => entries.push({ ...v, category, line: entries.length + 1 }));
+      });
+      return entries;
+    }
+    throw new Error('Expected a voice list object or an array of voices');
+  }
+
+  /**
+   * Check parsed rows and group the valid ones by category.
+   * @param {object[]} entries - From parseCsv() or parseJson()
+   * @returns {{voiceList: object, errors: string[], warnings: string[]}}
+   */
+  static validate(entries) {
+    const voiceList = {};
+    const errors = [];
+    const warnings = [];
+    const seen = new Set();
+    const placeholders = VOICE_TAGS.map(t => t.label.toLowerCase());
+
+    for (const entry of entries) {
+      const at = `Line ${entry.line}`;
+      const category = String(entry.category ?? '').trim();
+      const name = String(entry.name ?? '').trim();
+      const voice = { name };
+      let ok = true;
+      if (!category) {
+        errors.push(`${at}: missing category`);
+        ok = false;
+      }
+      for (const field of ['msb', 'lsb', 'program']) {
+        const raw = String(entry[field] ?? '').trim();
+        const value = Number(raw);
+        if (raw === '' || !Number.isInteger(value) || value < 0 || value > 127) {
+          errors.push(`${at}: ${field} must be a whole number 0-127, got "${raw}"`);
+          ok = false;
+        }
+        voice[field] = value;
+      }
+      if (!name) {
+        errors.push(`${at}: missing name`);
+        ok = false;
+      }
+      if (!ok) continue;
+
+      if (placeholders.includes(name.toLowerCase())) {
+        warnings.push(`${at}: "${name}" looks like a placeholder name`);
+      }
+      const id = `${category}/${voiceKey(voice)}`;
+      if (seen.has(id)) warnings.push(`${at}: duplicate of an earlier ${category} voice (${voiceKey(voice)})`);
+      seen.add(id);
+
+      (voiceList[category] ||= []).push({ msb: voice.msb, lsb: voice.lsb, program: voice.program, name });
+    }
+    if (!errors.length && !Object.keys(voiceList).length) errors.push('No voices found');
+    return { voiceList, errors, warnings };
+  }
+
+  /**
+   * Renumber a voice list whose programs count from 1, as on the
+   * instrument's panel and in voice_list.js, to the 0-127 MIDI values every
+   * other list uses.
+   * @param {object} voiceList
+   * @returns {object} A renumbered copy
+   */
+  static fromOneBased(voiceList) {
+    return Object.fromEntries(Object.entries(voiceList).map(([category, list]) => [
+      category, list.map(v => ({ ...v, program: v.program - 1 }))
+    ]));
+  }
+
+  /**
+   * @param {object} voiceList
+   * @returns {string} CSV with a header row
+   */
+  static toCsv(voiceList) {
+    const lines = [COLUMNS.join(',')];
+    Object.entries(voiceList).forEach(([category, list]) => {
+      list.forEach(v => {
+        lines.push([category, v.msb, v.lsb, v.program, v.name].map(csvField).join(','));
+      });
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * @param {object} voiceList
+   * @returns {string} VOICE_LIST-shaped JSON
+   */
+  static toJson(voiceList) {
+    return JSON.stringify(voiceList, null, 2);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * midi-lib - Shared Web MIDI utilities for the Yamaha controller pages.
+ *
+ * - MidiEncoder, MidiDecoder: validated channel messages out, stateful stream decoding in
+ * - SmfReader, SmfWriter: Standard MIDI File reading and writing
+ * - TempoMap, MidiFilePlayer: tick-to-time conversion and file playback with chasing
+ * - PerformanceRecorder: records what a page sends, for saving as a file
+ * - PianoRoll: draws recorded or played notes
+ * - MidiPortManager, MidiOutputManager, MidiInputManager: hardware and virtual port selection
+ * - VoiceLibrary, VoiceBrowser: searchable voices with favorites and recents
+ * - VoiceListFile: voice list import and export
+ * - InstrumentProfiles: switchable voice lists per instrument
+ * - GeneralMidi: the GM program names and voice list
+ * - RegistrationBank: registration memory for channel voices and controllers
+ * - GestureMapper: touch gestures to continuous expression
+ * - MpeZone: MPE zone handling
+ * - ScaleLayout, ScalaFile: scale layouts and Scala import
+ * - MidiTuning: microtonal tuning output
+ * - LayoutLibrary, LayoutEditor: saved layouts and their editor
+ * - ChordStrummer: strummed chords built from layouts
+ * - Transport: tempo transport
+ * - Arpeggiator: arpeggiator driven by the transport
+ * - StepSequencer, SequencerGrid: per-channel step sequencer and its grid
+ * - MidiClock: sends or follows MIDI clock
+ * - MidiRouter, RoutePresets: input-to-output routing with splits, layers and filters
+ * - SysexEncoder, SysexPanel: XG/GS SysEx for effects, tuning and part parameters
+ * - InstrumentDetector: instrument detection from identity replies
+ * - ControllerMap, ControllerPanel: configurable control surface with MIDI learn
+ * - NoteTracker: held-note tracking for panic
+ * - VelocityShaper, VelocityEditor: velocity curves from touch height, speed or pressure
+ * - QwertyKeyboard: note input from the computer keyboard
+ */
+
+export { MidiEncoder, STATUS, CC, PITCH_BEND_CENTER } from './MidiEncoder.js';
+export { MidiDecoder, dataLength } from './MidiDecoder.js';
+export { SmfReader, META } from './SmfReader.js';
+export { TempoMap } from './TempoMap.js';
+export { MidiFilePlayer } from './MidiFilePlayer.js';
+export { SmfWriter } from './SmfWriter.js';
+export { PerformanceRecorder } from './PerformanceRecorder.js';
+export { PianoRoll } from './PianoRoll.js';
+export { MidiPortManager } from './MidiPortManager.js';
+export { MidiOutputManager } from './MidiOutputManager.js';
+export { MidiInputManager } from './MidiInputManager.js';
+export { VoiceLibrary, VOICE_TAGS, voiceKey, fuzzyScore } from './VoiceLibrary.js';
+export { VoiceBrowser } from './VoiceBrowser.js';
+export { VoiceListFile } from './VoiceListFile.js';
+export { InstrumentProfiles } from './InstrumentProfiles.js';
+export { GM_VOICE_LIST, GM_PROGRAM_NAMES, GM_FAMILIES } from './GeneralMidi.js';
+export { RegistrationBank } from './RegistrationBank.js';
+export { GestureMapper } from './GestureMapper.js';
+export { MpeZone } from './MpeZone.js';
+export { ScaleLayout, BUILT_IN_LAYOUTS, parseIntervals } from './ScaleLayout.js';
+export { ScalaFile } from './ScalaFile.js';
+export { MidiTuning } from './MidiTuning.js';
+export { LayoutLibrary } from './LayoutLibrary.js';
+export { LayoutEditor, pitchName } from './LayoutEditor.js';
+export { ChordStrummer, CHORD_TYPES, STRUM_DIRECTIONS, parseVoicing } from './ChordStrummer.js';
+export { Transport, PPQN } from './Transport.js';
+export { Arpeggiator, ARP_MODES } from './Arpeggiator.js';
+export { StepSequencer, SEQUENCER_STEPS } from './StepSequencer.js';
+export { SequencerGrid } from './SequencerGrid.js';
+export { MidiClock, CLOCK_MODES } from './MidiClock.js';
+export { MidiRouter, MESSAGE_FILTERS, defaultRoute } from './MidiRouter.js';
+export { RoutePresets } from './RoutePresets.js';
+export { SysexEncoder, SYSEX_STANDARDS, REVERB_TYPES, CHORUS_TYPES, PART_PARAMS } from './SysexEncoder.js';
+export { InstrumentDetector, MANUFACTURERS } from './InstrumentDetector.js';
+export { SysexPanel } from './SysexPanel.js';
+export { ControllerMap, CONTROL_KINDS, CONTROL_TYPES } from './ControllerMap.js';
+export { ControllerPanel } from './ControllerPanel.js';
+export { NoteTracker } from './NoteTracker.js';
+export { VelocityShaper, VELOCITY_CURVES, VELOCITY_SOURCES, shapeVelocity } from './VelocityShaper.js';
+export { VelocityEditor } from './VelocityEditor.js';
+export { QwertyKeyboard } from './QwertyKeyboard.js';
@@ -1,6 +1,8 @@
 // Simple Additive Synth - Main Thread
 // Initializes AudioContext, loads worklet, and wires UI controls
 
+import { MidiDecoder } from '../../midi-lib/index.js';
+
 let audioContext = null;
 let workletNode = null;
 let gainNode = null;
@@ -12,6 +14,7 @@ let midiNoteStack = [];
 let midiConnected = false;
 let selectedMidiInputId = 'all'; // 'all' or specific device ID
 let selectedMidiChannel = 'all'; // 'all' or 0-15
+const midiDecoders = new Map();  // input id -> MidiDecoder
 const BASE_NOTE = 69; // A4 = 440Hz reference
 
 const toggleBtn = document.getElementById('toggleBtn');
@@ -34,23 +37,24 @@ function noteToPitchRatio(note) {
 }
 
 function handleMidiMessage(event) {
-  const [status, note, velocity] = event.data;
-  const command = status & 0xf0;
-  const channel = status & 0x0f;
-  
-  // Filter by selected channel (unless "all" is selected)
-  if (selectedMidiChannel !== 'all' && channel !== parseInt(selectedMidiChannel)) {
-    return;
-  }
+  const inputId = event.target.id;
+  if (!midiDecoders.has(inputId)) midiDecoders.set(inputId, new MidiDecoder());
   
-  if (command === 0x90 && velocity > 0) {
-    // Note on - add to stack
-    midiNoteStack.push(note);
-    updateFromMidi();
-  } else if (command === 0x80 || (command === 0x90 && velocity === 0)) {
-    // Note off - remove from stack
-    midiNoteStack = midiNoteStack.filter(n => n !== note);
-    updateFromMidi();
+  for (const msg of midiDecoders.get(inputId).decode(event.data)) {
+    // Filter by selected channel (unless "all" is selected)
+    if (selectedMidiChannel !== 'all' && msg.channel !== parseInt(selectedMidiChannel)) {
+      continue;
+    }
+    
+    if (msg.type === 'noteOn') {
+      // Note on - add to stack
+      midiNoteStack.push(msg.note);
+      updateFromMidi();
+    } else if (msg.type === 'noteOff') {
+      // Note off - remove from stack
+      midiNoteStack = midiNoteStack.filter(n => n !== msg.note);
+      updateFromMidi();
+    }
   }
 }
 
@@ -134,6 +138,14 @@ async function initMidi() {
     // Listen for device hot-plug events
     midiAccess.onstatechange = (e) => {
       console.log(`MIDI state change: ${e.port.name} ${e.port.state}`);
+      if (e.port.type === 'input' && e.port.state === 'disconnected') {
+        // An unplugged keyboard never sends its note-offs - close the gate
+        midiDecoders.delete(e.port.id);
+        if (midiNoteStack.length > 0) {
+          midiNoteStack = [];
+          updateFromMidi();
+        }
+      }
       populateMidiDevices();
       attachMidiHandlers();
     };
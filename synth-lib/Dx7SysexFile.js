@@ -0,0 +1,151 @@
+/**
+ * Dx7SysexFile - Reader for Yamaha DX7 voice SysEx (.syx) files, and their conversion to FM patches.
+ *
+ * A file holds one or more SysEx messages. Two kinds carry voices:
+ *
+ *   F0 43 0n 09 20 00 <4096 bytes> <checksum> F7   32-voice bank, packed
+ *                                                  into 128 bytes a voice
+ *   F0 43 0n 00 01 1B <155 bytes> <checksum> F7    one voice, unpacked
+ *
+ * Operators are stored op6 first. Anything else in the file is skipped.
+ * Checksums are not checked, since plenty of banks in circulation get
+ * them wrong and play fine.
+ *
+ * toPatch() turns a voice into a patch with an `fm` section (see
+ * SynthPatch.js). The DX7's envelopes have four rates and four levels;
+ * they become ADSR, with the attack going to level 1, the decay taking
+ * rates 2 and 3 to level 3 and the release rate 4. Keyboard scaling, the
+ * pitch envelope, the LFO and transpose have no equivalent and are
+ * dropped, so voices that lean on them sound plainer than on the DX7.
+ *
+ * See the DX7 owner's manual, "MIDI Data Format".
+ *
+ * Usage:
+ *   const voices = Dx7SysexFile.parse(new Uint8Array(await file.arrayBuffer()));
+ *   const patch = Dx7SysexFile.toPatch(voices[0], { id: 'rom1a-1' });
+ */
+import { FM_ALGORITHMS } from './FmAlgorithms.js';
+
+const BANK_SIZE = 4096;
+const VOICE_SIZE = 155;
+
+// output and envelope levels are about 0.75 dB a step
+function amplitude(level) {
+  return level <= 0 ? 0 : Math.pow(2, (level - 99) / 8);
+}
+
+// seconds an envelope rate takes over a full sweep, from about 40 s at 0 to 1 ms at 99
+function seconds(rate) {
+  return 40 * Math.pow(0.9, rate);
+}
+
+function text(bytes) {
+  return String.fromCharCode(...[...bytes].map(b => (b >= 32 && b < 127 ? b : 32))).trim();
+}
+
+// one voice from the 128-byte packed bank format
+function unpackVoice(v) {
+  const operators = [];
+  for (let slot = 0; slot < 6; slot++) {
+    const b = slot * 17;
+    operators.unshift({
+      rates: [...v.subarray(b, b + 4)],
+      levels: [...v.subarray(b + 4, b + 8)],
+      detune: (v[b + 12] >> 3) & 0x0F,
+      velocity: (v[b + 13] >> 2) & 0x07,
+      output: v[b + 14],
+      fixed: (v[b + 15] & 1) === 1,
+      coarse: (v[b + 15] >> 1) & 0x1F,
+      fine: v[b + 16]
+    });
+  }
+  return {
+    name: text(v.subarray(118, 128)),
+    algorithm: (v[110] & 0x1F) + 1,
+    feedback: v[111] & 0x07,
+    operators
+  };
+}
+
+// one voice from the 155-byte single voice format
+function readVoice(v) {
+  const operators = [];
+  for (let slot = 0; slot < 6; slot++) {
+    const b = slot * 21;
+    operators.unshift({
+      rates: [...v.subarray(b, b + 4)],
+      levels: [...v.subarray(b + 4, b + 8)],
+      velocity: v[b + 15] & 0x07,
+      output: v[b + 16],
+      fixed: (v[b + 17] & 1) === 1,
+      coarse: v[b + 18] & 0x1F,
+      fine: v[b + 19],
+      detune: v[b + 20] & 0x0F
+    });
+  }
+  return {
+    name: text(v.subarray(145, 155)),
+    algorithm: (v[134] & 0x1F) + 1,
+    feedback: v[135] & 0x07,
+    operators
+  };
+}
+
+export class Dx7SysexFile {
+  /**
+   * @param {Uint8Array} bytes - The whole file
+   * @returns {{name: string, algorithm: number, feedback: number, operators: object[]}[]}
+   *   Voices in file order, operators op1 first, values as stored by the DX7
+   */
+  static parse(bytes) {
+    const voices = [];
+    for (let start = bytes.indexOf(0xF0); start !== -1; start = bytes.indexOf(0xF0, start + 1)) {
+      if (bytes[start + 1] !== 0x43 || (bytes[start + 2] & 0xF0) !== 0) continue;
+      const format = bytes[start + 3];
+      const data = start + 6;
+      if (format === 0x09) {
+        if (bytes.length < data + BANK_SIZE) throw new Error('The voice bank is cut short');
+        for (let i = 0; i < 32; i++) voices.push(unpackVoice(bytes.subarray(data + i * 128, data + (i + 1) * 128)));
+        start = data + BANK_SIZE;
+      } else if (format === 0x00) {
+        if (bytes.length < data + VOICE_SIZE) throw new Error('The voice is cut short');
+        voices.push(readVoice(bytes.subarray(data, data + VOICE_SIZE)));
+        start = data + VOICE_SIZE;
+      }
+    }
+    if (!voices.length) throw new Error('No DX7 voices found in this file');
+    return voices;
+  }
+
+  /**
+   * @param {object} voice - From parse()
+   * @param {object} options
+   * @param {string} options.id - Patch id
+   * @param {string} options.name - Patch name (default the voice's name)
+   * @returns {object} An FM patch, not yet validated
+   */
+  static toPatch(voice, { id, name = voice.name || id }) {
+    const feedbackOperator = FM_ALGORITHMS[6][voice.algorithm - 1].feedback;
+    const operators = voice.operators.map((op, i) => {
+      const [r1, r2, r3, r4] = op.rates;
+      const [l1, , l3] = op.levels;
+      const peak = amplitude(l1);
+      const operator = {
+        detune: (op.detune - 7) * 2,
+        level: amplitude(op.output) * peak,
+        velocity: op.velocity / 7,
+        env: {
+          attack: seconds(r1),
+          decay: Math.min(60, seconds(r2) + seconds(r3)),
+          sustain: peak ? Math.min(1, amplitude(l3) / peak) : 0,
+          release: seconds(r4)
+        }
+      };
+      if (op.fixed) operator.fixed = Math.pow(10, (op.coarse & 3) + op.fine / 100);
+      else operator.ratio = (op.coarse || 0.5) * (1 + op.fine / 100);
+      if (i + 1 === feedbackOperator) operator.feedback = voice.feedback / 7;
+      return operator;
+    });
+    return { id, name, fm: { algorithm: voice.algorithm, operators } };
+  }
+}
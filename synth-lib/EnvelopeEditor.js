@@ -0,0 +1,116 @@
+/**
+ * EnvelopeEditor - Settings panel for a patch's amplitude and filter envelopes.
+ *
+ * Builds one row per amp and filter module of the patch being edited:
+ * attack, decay and release times, sustain level and the curve, plus the
+ * sweep in octaves and its velocity sensitivity for filters. An FM patch's
+ * envelopes belong to its operators, which FmEditor edits. Each change
+ * hands a validated copy of the patch to `onchange`; the page decides
+ * where it is saved. Styling is left to the page via the `env-*` class
+ * names.
+ *
+ * Usage:
+ *   const editor = new EnvelopeEditor(container, {
+ *     onchange: patch => engine.setPatch(library.save(patch))
+ *   });
+ *   editor.edit(library.get('fm'));
+ */
+import { validatePatch, ENVELOPE_CURVES } from './SynthPatch.js';
+
+const TIME_FIELDS = [
+  { key: 'attack', label: 'A' },
+  { key: 'decay', label: 'D' },
+  { key: 'sustain', label: 'S' },
+  { key: 'release', label: 'R' }
+];
+
+export class EnvelopeEditor {
+  /**
+   * @param {HTMLElement} container
+   * @param {object} options
+   * @param {Function} options.onchange - (patch) => void, with the edited copy
+   */
+  constructor(container, { onchange = null } = {}) {
+    this.container = container;
+    this.onchange = onchange;
+    this.patch = null;
+  }
+
+  /**
+   * Show a patch's envelopes.
+   * @param {object} patch - Validated
+   */
+  edit(patch) {
+    this.patch = patch;
+    const c = this.container;
+    c.innerHTML = '';
+    if (patch.fm) {
+      c.textContent = 'This FM patch has an envelope on each operator.';
+      return;
+    }
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    const number = (value, min, max, step, onchange) => {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'number', min, max, step, value });
+      input.addEventListener('change', () => onchange(+input.value));
+      return input;
+    };
+
+    const modules = Object.entries(patch.modules).filter(([, m]) => m.type === 'amp' || m.type === 'filter');
+    if (!modules.length) {
+      c.textContent = 'This patch has no amp or filter envelopes.';
+      return;
+    }
+    for (const [id, module] of modules) {
+      const filter = module.type === 'filter';
+      const env = { attack: 0, decay: 0, sustain: 1, release: 0, curve: 'exponential', ...(filter ? { amount: 0 } : {}), ...module.env };
+      const row = document.createElement('div');
+      row.className = 'env-row';
+      const name = document.createElement('span');
+      name.className = 'env-name';
+      name.textContent = `${id} (${filter ? 'filter' : 'amp'})`;
+      row.appendChild(name);
+      TIME_FIELDS.forEach(({ key, label }) => {
+        const sustain = key === 'sustain';
+        row.appendChild(field(`${label}:`, number(env[key], 0, sustain ? 1 : 60, sustain ? 0.05 : 0.01,
+          value => this.update(id, { env: { ...env, [key]: value } }))));
+      });
+      const curve = document.createElement('select');
+      ENVELOPE_CURVES.forEach(k => {
+        const o = document.createElement('option');
+        o.value = o.textContent = k;
+        curve.appendChild(o);
+      });
+      curve.value = env.curve;
+      curve.addEventListener('change', () => this.update(id, { env: { ...env, curve: curve.value } }));
+      row.appendChild(field('Curve:', curve));
+      if (filter) {
+        row.appendChild(field('Octaves:', number(env.amount, -10, 10, 0.1,
+          value => this.update(id, { env: { ...env, amount: value } }))));
+        row.appendChild(field('Velocity:', number(module.velocity, 0, 1, 0.05,
+          value => this.update(id, { velocity: value }))));
+      }
+      c.appendChild(row);
+    }
+  }
+
+  update(id, changes) {
+    const modules = { ...this.patch.modules, [id]: { ...this.patch.modules[id], ...changes } };
+    let patch;
+    try {
+      patch = validatePatch({ ...this.patch, modules });
+    } catch (err) {
+      alert(err.message);
+      this.edit(this.patch);
+      return;
+    }
+    this.patch = patch;
+    this.onchange?.(patch);
+    // rebuild so each row's fields start from the saved values
+    this.edit(this.patch);
+  }
+}
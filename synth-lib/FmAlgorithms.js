@@ -0,0 +1,87 @@
+/**
+ * FmAlgorithms - How the operators of an FM patch are wired, after the Yamaha 4- and 6-operator synths.
+ *
+ * Each algorithm is written as chains of operator numbers: '6>5>4>3 2>1'
+ * means 6 modulates 5, which modulates 4, which modulates 3, while 2
+ * modulates 1. Operators that modulate nothing are carriers and are heard;
+ * a number on its own is a carrier with no modulator. `feedback` is the
+ * operator the original feeds back into itself. Algorithms 4 and 6 of the
+ * DX7 feed back through two or three operators; here that operator feeds
+ * back into itself instead.
+ *
+ * The 6-operator algorithms are the DX7's 32, the 4-operator ones the 8
+ * of the DX21, DX27, DX100 and TX81Z.
+ *
+ * Usage:
+ *   const { carriers, modulations } = fmAlgorithm(6, 5);
+ *   // carriers [1, 3, 5], modulations [[2, 1], [4, 3], [6, 5]]
+ */
+
+export const FM_ALGORITHMS = {
+  4: [
+    { graph: '4>3>2>1', feedback: 4 },
+    { graph: '4>2 3>2>1', feedback: 4 },
+    { graph: '3>2>1 4>1', feedback: 4 },
+    { graph: '4>3>1 2>1', feedback: 4 },
+    { graph: '2>1 4>3', feedback: 4 },
+    { graph: '4>1 4>2 4>3', feedback: 4 },
+    { graph: '1 2 4>3', feedback: 4 },
+    { graph: '1 2 3 4', feedback: 4 }
+  ],
+  6: [
+    { graph: '6>5>4>3 2>1', feedback: 6 },
+    { graph: '6>5>4>3 2>1', feedback: 2 },
+    { graph: '6>5>4 3>2>1', feedback: 6 },
+    { graph: '6>5>4 3>2>1', feedback: 6 },
+    { graph: '6>5 4>3 2>1', feedback: 6 },
+    { graph: '6>5 4>3 2>1', feedback: 6 },
+    { graph: '6>5>3 4>3 2>1', feedback: 6 },
+    { graph: '6>5>3 4>3 2>1', feedback: 4 },
+    { graph: '6>5>3 4>3 2>1', feedback: 2 },
+    { graph: '3>2>1 6>4 5>4', feedback: 3 },
+    { graph: '3>2>1 6>4 5>4', feedback: 6 },
+    { graph: '2>1 6>3 5>3 4>3', feedback: 2 },
+    { graph: '2>1 6>3 5>3 4>3', feedback: 6 },
+    { graph: '2>1 6>4>3 5>4', feedback: 6 },
+    { graph: '2>1 6>4>3 5>4', feedback: 2 },
+    { graph: '2>1 4>3>1 6>5>1', feedback: 6 },
+    { graph: '2>1 4>3>1 6>5>1', feedback: 2 },
+    { graph: '2>1 3>1 6>5>4>1', feedback: 3 },
+    { graph: '3>2>1 6>4 6>5', feedback: 6 },
+    { graph: '3>1 3>2 6>4 5>4', feedback: 3 },
+    { graph: '3>1 3>2 6>4 6>5', feedback: 3 },
+    { graph: '2>1 6>3 6>4 6>5', feedback: 6 },
+    { graph: '1 3>2 6>4 6>5', feedback: 6 },
+    { graph: '1 2 6>3 6>4 6>5', feedback: 6 },
+    { graph: '1 2 3 6>4 6>5', feedback: 6 },
+    { graph: '1 3>2 5>4 6>4', feedback: 6 },
+    { graph: '1 3>2 5>4 6>4', feedback: 3 },
+    { graph: '2>1 5>4>3 6', feedback: 5 },
+    { graph: '1 2 4>3 6>5', feedback: 6 },
+    { graph: '1 2 5>4>3 6', feedback: 5 },
+    { graph: '1 2 3 4 6>5', feedback: 6 },
+    { graph: '1 2 3 4 5 6', feedback: 6 }
+  ]
+};
+
+/**
+ * @param {number} operators - 4 or 6
+ * @param {number} algorithm - 1-based, as on the synth's panel
+ * @returns {{graph: string, feedback: number, carriers: number[], modulations: number[][]}}
+ *   modulations are [from, to] operator numbers
+ */
+export function fmAlgorithm(operators, algorithm) {
+  const list = FM_ALGORITHMS[operators];
+  if (!list) throw new RangeError(`FM patches have 4 or 6 operators, got ${operators}`);
+  const entry = list[algorithm - 1];
+  if (!entry) throw new RangeError(`A ${operators}-operator algorithm must be 1-${list.length}, got ${algorithm}`);
+  const modulations = entry.graph.split(' ').flatMap(chain => {
+    const ops = chain.split('>').map(Number);
+    return ops.slice(1).map((to, i) => [ops[i], to]);
+  });
+  const carriers = [];
+  for (let op = 1; op <= operators; op++) {
+    if (!modulations.some(([from]) => from === op)) carriers.push(op);
+  }
+  return { ...entry, carriers, modulations };
+}
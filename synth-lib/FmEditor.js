@@ -0,0 +1,137 @@
+/**
+ * FmEditor - Settings panel for the operators and algorithm of an FM patch.
+ *
+ * Edits the `fm` section of a patch (see SynthPatch.js): an algorithm
+ * picker listing each algorithm's wiring, then a row per operator with its
+ * role in that algorithm, frequency as a ratio or fixed Hz (a fixed value
+ * wins; clear it to follow the note again), detune, level, velocity
+ * sensitivity, feedback and ADSR envelope. Each change hands a validated
+ * copy of the patch to `onchange`; the page decides where it is saved.
+ * Styling is left to the page via the `fm-*` class names.
+ *
+ * Usage:
+ *   const editor = new FmEditor(container, {
+ *     onchange: patch => engine.setPatch(library.save(patch))
+ *   });
+ *   editor.edit(library.get('fm-epiano'));
+ */
+import { validatePatch } from './SynthPatch.js';
+import { FM_ALGORITHMS, fmAlgorithm } from './FmAlgorithms.js';
+
+const FIELDS = [
+  { key: 'ratio', label: 'Ratio', min: 0.001, max: 64, step: 0.01 },
+  { key: 'fixed', label: 'Fixed Hz', min: 0.01, max: 24000, step: 1, optional: true },
+  { key: 'detune', label: 'Detune', min: -1200, max: 1200, step: 1 },
+  { key: 'level', label: 'Level', min: 0, max: 1, step: 0.01 },
+  { key: 'velocity', label: 'Vel', min: 0, max: 1, step: 0.05 },
+  { key: 'feedback', label: 'Fb', min: 0, max: 1, step: 0.05 }
+];
+const ENV_FIELDS = [
+  { key: 'attack', label: 'A', max: 60, step: 0.01 },
+  { key: 'decay', label: 'D', max: 60, step: 0.01 },
+  { key: 'sustain', label: 'S', max: 1, step: 0.05 },
+  { key: 'release', label: 'R', max: 60, step: 0.01 }
+];
+
+export class FmEditor {
+  /**
+   * @param {HTMLElement} container
+   * @param {object} options
+   * @param {Function} options.onchange - (patch) => void, with the edited copy
+   */
+  constructor(container, { onchange = null } = {}) {
+    this.container = container;
+    this.onchange = onchange;
+    this.patch = null;
+  }
+
+  /**
+   * Show an FM patch's operators.
+   * @param {object} patch - Validated, with an `fm` section
+   */
+  edit(patch) {
+    this.patch = patch;
+    const c = this.container;
+    c.innerHTML = '';
+    const { fm } = patch;
+    const count = fm.operators.length;
+    const algorithm = fmAlgorithm(count, fm.algorithm);
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    const number = ({ min, max, step }, value, onchange) => {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'number', min, max, step, value: value ?? '' });
+      input.addEventListener('change', () => onchange(input.value === '' ? undefined : +input.value));
+      return input;
+    };
+
+    const bar = document.createElement('div');
+    bar.className = 'fm-bar';
+    const select = document.createElement('select');
+    FM_ALGORITHMS[count].forEach(({ graph, feedback }, i) => {
+      const o = document.createElement('option');
+      o.value = i + 1;
+      o.textContent = `${i + 1}: ${graph} (feedback ${feedback})`;
+      select.appendChild(o);
+    });
+    select.value = fm.algorithm;
+    select.addEventListener('change', () => this.update({ algorithm: +select.value }));
+    bar.appendChild(field(`Algorithm (${count} operators):`, select));
+    c.appendChild(bar);
+
+    fm.operators.forEach((op, i) => {
+      const n = i + 1;
+      const row = document.createElement('div');
+      row.className = 'fm-row';
+      const name = document.createElement('span');
+      name.className = 'fm-name';
+      name.textContent = `Op ${n} ${algorithm.carriers.includes(n) ? 'carrier' : 'mod'}`;
+      row.appendChild(name);
+      const values = patch.modules[`op${n}`];
+      FIELDS.forEach(f => {
+        // levels and feedback as written in the fm section, not as scaled for the modules
+        const value = f.key === 'level' || f.key === 'feedback' ? (op[f.key] ?? (f.key === 'level' ? 1 : 0)) : values[f.key];
+        row.appendChild(field(`${f.label}:`, number(f, value, v => {
+          if (v === undefined && !f.optional) return this.edit(this.patch);
+          this.updateOperator(i, { [f.key]: v });
+        })));
+      });
+      const env = { attack: 0, decay: 0, sustain: 1, release: 0, ...op.env };
+      ENV_FIELDS.forEach(f => {
+        row.appendChild(field(`${f.label}:`, number({ min: 0, ...f }, env[f.key], v => {
+          if (v === undefined) return this.edit(this.patch);
+          this.updateOperator(i, { env: { ...env, [f.key]: v } });
+        })));
+      });
+      c.appendChild(row);
+    });
+  }
+
+  updateOperator(index, changes) {
+    const operators = this.patch.fm.operators.map((op, i) => {
+      if (i !== index) return op;
+      const next = { ...op, ...changes };
+      if (next.fixed === undefined) delete next.fixed;
+      return next;
+    });
+    this.update({ operators });
+  }
+
+  update(changes) {
+    let patch;
+    try {
+      patch = validatePatch({ ...this.patch, fm: { ...this.patch.fm, ...changes } });
+    } catch (err) {
+      alert(err.message);
+      this.edit(this.patch);
+      return;
+    }
+    this.patch = patch;
+    this.onchange?.(patch);
+    // rebuild so roles and fields follow the saved values
+    this.edit(this.patch);
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * PatchLibrary - The built-in synth patches plus patches loaded from JSON.
+ *
+ * Built-ins come from BUILT_IN_PATCHES and cannot be replaced or deleted.
+ * Loaded patches are validated and stored under `storageKey`, so they are
+ * still there on the next visit. A JSON file may hold one patch or a list
+ * of them; importPatches() takes patches made some other way, such as the
+ * voices of a DX7 bank (see Dx7SysexFile).
+ *
+ * Usage:
+ *   const library = new PatchLibrary();
+ *   library.importJson(await file.text()).forEach(p => engine.setPatch(p));
+ *   download(library.exportJson('fm'));
+ */
+import { BUILT_IN_PATCHES, validatePatch } from './SynthPatch.js';
+
+export class PatchLibrary {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'synthPatches')
+   */
+  constructor({ storageKey = 'synthPatches' } = {}) {
+    this.storageKey = storageKey;
+    this.builtIn = new Map(BUILT_IN_PATCHES.map(p => [p.id, validatePatch(p)]));
+    this.custom = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      saved.forEach(p => {
+        try {
+          this.custom.set(p.id, validatePatch(p));
+        } catch (err) {
+          console.warn(`Ignoring invalid patch "${p?.id}":`, err);
+        }
+      });
+    } catch (err) {
+      console.warn('Ignoring unreadable synth patches:', err);
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify([...this.custom.values()]));
+  }
+
+  /** @returns {object[]} Built-ins first, then loaded patches */
+  list() {
+    return [...this.builtIn.values(), ...this.custom.values()];
+  }
+
+  isBuiltIn(id) {
+    return this.builtIn.has(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return this.builtIn.get(id) || this.custom.get(id) || null;
+  }
+
+  /**
+   * Store (or replace) a patch under its id.
+   * @param {object} patch
+   * @returns {object} The validated patch
+   */
+  save(patch) {
+    const p = validatePatch(patch);
+    if (this.isBuiltIn(p.id)) throw new Error(`"${p.id}" is built in and cannot be replaced`);
+    this.custom.set(p.id, p);
+    this.persist();
+    return p;
+  }
+
+  remove(id) {
+    if (this.isBuiltIn(id)) throw new Error(`"${id}" is built in and cannot be deleted`);
+    this.custom.delete(id);
+    this.persist();
+  }
+
+  /**
+   * Save every patch in a JSON file; nothing is saved if any is invalid.
+   * @param {string} text - One patch or a list of them
+   * @returns {object[]} The validated patches
+   */
+  importJson(text) {
+    const data = JSON.parse(text);
+    return this.importPatches(Array.isArray(data) ? data : [data]);
+  }
+
+  /**
+   * Save several patches, such as a converted DX7 bank; nothing is saved if any is invalid.
+   * @param {object[]} list
+   * @returns {object[]} The validated patches
+   */
+  importPatches(list) {
+    const patches = list.map(validatePatch);
+    patches.forEach(p => {
+      if (this.isBuiltIn(p.id)) throw new Error(`"${p.id}" is built in and cannot be replaced`);
+    });
+    patches.forEach(p => this.custom.set(p.id, p));
+    this.persist();
+    return patches;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string} The patch as JSON, for sharing or editing
+   */
+  exportJson(id) {
+    const patch = this.get(id);
+    if (!patch) throw new RangeError(`Unknown patch "${id}"`);
+    return JSON.stringify(patch, null, 2);
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * PatchVoice - One note's Web Audio graph, built from a patch.
+ *
+ * The constructor builds every module of a validated patch (see
+ * SynthPatch.js), wires the connections and starts the oscillators and
+ * envelopes at `when`. Frequencies given as a `ratio` follow the note, so
+ * glide() can move a mono voice to another note; release() runs the
+ * envelopes' release stages (or a short fade, for a stolen voice) and
+ * returns when the voice is silent, and stop() ends the oscillators then,
+ * disconnects every node and calls `onended`. level() follows the amp
+ * envelopes, for stealing the quietest voice.
+ *
+ * Usage:
+ *   const voice = new PatchVoice(audioCtx, patch, 60, 100, audioCtx.currentTime, outputs);
+ *   voice.stop(voice.release(audioCtx.currentTime + 1));
+ */
+import { PATCH_OUTPUTS } from './SynthPatch.js';
+
+export function midiToFreq(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// freeze a parameter's automation at `when`, where the browser can
+export function hold(param, when) {
+  if (param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(when);
+  } else {
+    param.cancelScheduledValues(when);
+    param.setValueAtTime(param.value, when);
+  }
+}
+
+function rampTo(param, value, start, duration, exponential = false) {
+  if (duration <= 0) param.setValueAtTime(value, start);
+  else if (exponential) param.exponentialRampToValueAtTime(value, start + duration);
+  else param.linearRampToValueAtTime(value, start + duration);
+}
+
+// an envelope's decay or release stage, which may end at zero
+function fallTo(param, value, start, duration, curve) {
+  if (duration <= 0 || curve === 'linear') rampTo(param, value, start, duration);
+  // within 1% of the target by the end of the stage
+  else param.setTargetAtTime(value, start, duration / 4.6);
+}
+
+// where fallTo() has got to `elapsed` seconds into the stage
+function fallen(from, to, elapsed, duration, curve) {
+  if (duration <= 0 || (curve === 'linear' && elapsed >= duration)) return to;
+  if (curve === 'linear') return from + (to - from) * elapsed / duration;
+  return to + (from - to) * Math.exp(-4.6 * elapsed / duration);
+}
+
+export class PatchVoice {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} patch - Validated, see validatePatch()
+   * @param {number} note - MIDI note
+   * @param {number} velocity - 1-127
+   * @param {number} when - AudioContext time to start
+   * @param {Object<string, AudioNode>} outputs - Nodes for 'out', 'reverb' and 'delay'
+   */
+  constructor(context, patch, note, velocity, when, outputs) {
+    this.context = context;
+    this.patch = patch;
+    this.note = note;
+    this.started = when;
+    this.onended = null;
+    this.nodes = [];        // everything to disconnect afterwards
+    this.sources = [];      // oscillators to stop
+    this.tracked = [];      // { param, ratio, exponential }, frequencies following the note
+    this.envelopes = [];    // { param, level, velocity, env, amp } plus where the last stage started
+    this.modules = {};      // id -> { input, output, params, envelope }
+    this.stopTimer = null;
+
+    const freq = midiToFreq(note);
+    for (const [id, module] of Object.entries(patch.modules)) {
+      this.modules[id] = this.build(module, freq, when);
+    }
+    for (const [from, to] of patch.connections) {
+      const output = this.modules[from].output;
+      if (PATCH_OUTPUTS.includes(to)) {
+        output.connect(outputs[to]);
+        // an operator heard directly is as loud as its envelope
+        if (this.modules[from].envelope) this.modules[from].envelope.amp = true;
+        continue;
+      }
+      const [target, param] = to.split('.');
+      output.connect(param ? this.modules[target].params[param] : this.modules[target].input);
+    }
+    this.envelopes.forEach(e => this.attack(e, velocity, when, false));
+    this.sources.forEach(s => s.start(when));
+  }
+
+  node(node) {
+    this.nodes.push(node);
+    return node;
+  }
+
+  oscillator(wave, frequency, when) {
+    const osc = this.node(this.context.createOscillator());
+    osc.type = wave;
+    if (frequency !== null) osc.frequency.setValueAtTime(frequency, when);
+    this.sources.push(osc);
+    return osc;
+  }
+
+  // the module's frequency times `scale`, following the note unless it is fixed
+  frequency(module, param, freq, when, exponential, scale = 1) {
+    if (module.fixed !== undefined) {
+      param.setValueAtTime(module.fixed * scale, when);
+    } else {
+      param.setValueAtTime(module.ratio * scale * freq, when);
+      this.tracked.push({ param, ratio: module.ratio * scale, exponential });
+    }
+  }
+
+  build(module, freq, when) {
+    const ctx = this.context;
+    switch (module.type) {
+      case 'osc': {
+        const osc = this.oscillator(module.wave, null, when);
+        this.frequency(module, osc.frequency, freq, when, false);
+        osc.detune.setValueAtTime(module.detune, when);
+        return { output: osc, params: { frequency: osc.frequency, detune: osc.detune } };
+      }
+      case 'operator': {
+        const osc = this.oscillator(module.wave, null, when);
+        this.frequency(module, osc.frequency, freq, when, false);
+        osc.detune.setValueAtTime(module.detune, when);
+        const level = this.node(ctx.createGain());
+        if (module.index) {
+          // an index becomes a deviation in Hz at the operator's frequency
+          const deviation = this.node(ctx.createGain());
+          this.frequency(module, deviation.gain, freq, when, false);
+          osc.connect(deviation);
+          deviation.connect(level);
+        } else {
+          osc.connect(level);
+        }
+        if (module.feedback) {
+          // a cycle needs a delay, of at least one render quantum
+          const feedback = this.node(ctx.createGain());
+          this.frequency(module, feedback.gain, freq, when, false, module.feedback);
+          const delay = this.node(ctx.createDelay());
+          osc.connect(feedback);
+          feedback.connect(delay);
+          delay.connect(osc.frequency);
+        }
+        const envelope = { param: level.gain, level: module.level, velocity: module.velocity, env: module.env };
+        this.envelopes.push(envelope);
+        return { output: level, envelope, params: { frequency: osc.frequency, detune: osc.detune, level: level.gain } };
+      }
+      case 'filter': {
+        const filter = this.node(ctx.createBiquadFilter());
+        filter.type = module.mode;
+        this.frequency(module, filter.frequency, freq, when, true);
+        filter.Q.setValueAtTime(module.q, when);
+        // the sweep runs in cents, which is even in octaves
+        if (module.env) {
+          this.envelopes.push({ param: filter.detune, level: (module.env.amount ?? 0) * 1200,
+                                velocity: module.velocity, env: module.env });
+        }
+        return { input: filter, output: filter, params: { frequency: filter.frequency, detune: filter.detune, q: filter.Q } };
+      }
+      case 'amp': {
+        const amp = this.node(ctx.createGain());
+        this.envelopes.push({ param: amp.gain, level: module.level, velocity: module.velocity, env: module.env, amp: true });
+        return { input: amp, output: amp, params: { gain: amp.gain } };
+      }
+      case 'lfo': {
+        const osc = this.oscillator(module.wave, module.rate, when);
+        const depth = this.node(ctx.createGain());
+        depth.gain.setValueAtTime(module.depth, when);
+        osc.connect(depth);
+        return { output: depth, params: { rate: osc.frequency, depth: depth.gain } };
+      }
+    }
+    throw new RangeError(`Unknown module type ${module.type}`);
+  }
+
+  // start an envelope, or restart it from where it is for a legato note
+  attack(e, velocity, when, legato) {
+    const { param, level, velocity: sensitivity, env } = e;
+    const peak = level * (1 - sensitivity + sensitivity * velocity / 127);
+    if (!env) {
+      param.setValueAtTime(peak, when);
+      Object.assign(e, { peak });
+      return;
+    }
+    const from = legato ? this.envelopeLevel(e, when) : 0;
+    if (legato) hold(param, when);
+    else param.setValueAtTime(0, when);
+    rampTo(param, peak, when, env.attack);
+    fallTo(param, peak * env.sustain, when + env.attack, env.decay, env.curve);
+    Object.assign(e, { peak, from, attacked: when, released: undefined });
+  }
+
+  // an envelope's value at `when`, following what attack() and release() scheduled
+  envelopeLevel({ env, peak, from, attacked, released, releasedFrom, fade }, when) {
+    if (!env) return peak;
+    if (released !== undefined && when >= released) {
+      return fallen(releasedFrom, 0, when - released, fade ?? env.release, fade === undefined ? env.curve : 'linear');
+    }
+    const elapsed = when - attacked;
+    if (elapsed < env.attack) return from + (peak - from) * elapsed / env.attack;
+    return fallen(peak, peak * env.sustain, elapsed - env.attack, env.decay, env.curve);
+  }
+
+  /**
+   * How loud the voice is, from its amp envelopes. Attacks count as at
+   * their peak already, so a note that has only just started is not taken
+   * for a quiet one.
+   * @param {number} when - AudioContext time
+   * @returns {number} The amp modules' gains multiplied together
+   */
+  level(when) {
+    return this.envelopes.filter(e => e.amp).reduce((product, e) => {
+      const attacking = e.env && e.released === undefined && when - e.attacked < e.env.attack;
+      return product * (attacking ? e.peak : this.envelopeLevel(e, when));
+    }, 1);
+  }
+
+  /**
+   * Move a mono voice to another note.
+   * @param {number} note
+   * @param {number} velocity
+   * @param {number} when
+   */
+  glide(note, velocity, when) {
+    const freq = midiToFreq(note);
+    for (const { param, ratio, exponential } of this.tracked) {
+      hold(param, when);
+      rampTo(param, ratio * freq, when, this.patch.glide, exponential);
+    }
+    this.envelopes.forEach(e => this.attack(e, velocity, when, true));
+    this.note = note;
+  }
+
+  /**
+   * Start the release stages.
+   * @param {number} when
+   * @param {number} fade - Seconds to fade out in instead, for a stolen voice (optional)
+   * @returns {number} AudioContext time the voice is silent
+   */
+  release(when, fade) {
+    let end = when;
+    for (const e of this.envelopes) {
+      const { param, env } = e;
+      if (!env) continue;
+      const duration = fade ?? env.release;
+      e.releasedFrom = this.envelopeLevel(e, when);
+      hold(param, when);
+      fallTo(param, 0, when, duration, fade === undefined ? env.curve : 'linear');
+      Object.assign(e, { released: when, fade });
+      end = Math.max(end, when + duration);
+    }
+    return end;
+  }
+
+  /**
+   * Stop the oscillators and disconnect everything once they have. A
+   * later call, for a voice cut short, replaces an earlier one.
+   * @param {number} when
+   */
+  stop(when) {
+    this.sources.forEach(s => s.stop(when));
+    clearTimeout(this.stopTimer);
+    this.stopTimer = setTimeout(() => {
+      this.nodes.forEach(n => n.disconnect());
+      this.onended?.();
+    }, (when - this.context.currentTime) * 1000 + 100);
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * SynthEngine - Plays patches (see SynthPatch.js) on Web Audio.
+ *
+ * Owns the shared effect buses patches can send to (a convolution reverb
+ * and a slapback delay) and one PatchVoice per sounding note. A `mono`
+ * patch keeps a single voice that glides to each new note while keys
+ * overlap, as the original 303 voice did. Every note method takes an
+ * optional AudioContext time so callers with lookahead timestamps can
+ * schedule ahead; omitted or past times play immediately.
+ *
+ * Voices are counted by a VoiceAllocator from note-on until they have
+ * stopped, release tails included. When a note would go over the
+ * polyphony limit the allocator's stealing policy picks voices to cut,
+ * which fade out over a few milliseconds instead of clicking off. A key
+ * played again while its note still sounds releases the old voice first.
+ *
+ * Note methods take an optional channel too, so several MIDI channels can
+ * play the same patch without taking over each other's notes; All Notes
+ * Off and All Sound Off can be limited to one channel's notes.
+ *
+ * The pedals work as on a piano: while sustain (CC64) is down every
+ * released note keeps sounding, and sostenuto (CC66) keeps only the notes
+ * that were sounding when it went down. Held notes end when the pedals
+ * holding them come up.
+ *
+ * Usage:
+ *   const engine = new SynthEngine(audioCtx);
+ *   engine.noteOn('fm', 60, 100);
+ *   engine.noteOff('fm', 60);
+ *   engine.setSustain(true);
+ *   engine.setPolyphony({ maxVoices: 8, policy: 'quietest' });
+ */
+import { BUILT_IN_PATCHES, validatePatch } from './SynthPatch.js';
+import { PatchVoice } from './PatchVoice.js';
+import { VoiceAllocator } from './VoiceAllocator.js';
+
+export { midiToFreq } from './PatchVoice.js';
+
+// seconds a stolen voice takes to fade out
+const STEAL_FADE = 0.005;
+
+export function createImpulseResponse(context, duration = 2.0, decay = 2.0) {
+  const sampleRate = context.sampleRate;
+  const length = sampleRate * duration;
+  const impulse = context.createBuffer(2, length, sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    const buffer = impulse.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      buffer[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+  }
+  return impulse;
+}
+
+export class SynthEngine {
+  /**
+   * @param {AudioContext} audioCtx
+   * @param {AudioNode} destination - Where voices and effects end up (default audioCtx.destination)
+   * @param {object} options
+   * @param {object[]} options.patches - Patches to start with (default BUILT_IN_PATCHES)
+   * @param {number} options.maxVoices - Polyphony limit (default 16)
+   * @param {string} options.policy - Voice stealing policy, see STEAL_POLICIES (default 'oldest')
+   */
+  constructor(audioCtx, destination = audioCtx.destination,
+              { patches = BUILT_IN_PATCHES, maxVoices = 16, policy = 'oldest' } = {}) {
+    this.audioCtx = audioCtx;
+    this.destination = destination;
+
+    // Convolutional reverb, which the FM voice plays through
+    this.reverbNode = audioCtx.createConvolver();
+    this.reverbNode.buffer = createImpulseResponse(audioCtx, 2.5, 3.0);
+    this.reverbNode.normalize = true;
+    this.reverbNode.connect(destination);
+
+    // Short delay (slapback), which the 303 voice adds
+    this.delayNode = audioCtx.createDelay();
+    this.delayNode.delayTime.setValueAtTime(0.15, audioCtx.currentTime); // 150 ms
+    const feedbackGain = audioCtx.createGain();
+    feedbackGain.gain.setValueAtTime(0.3, audioCtx.currentTime);
+    this.delayNode.connect(feedbackGain);
+    feedbackGain.connect(this.delayNode);
+    this.delayNode.connect(destination);
+
+    this.outputs = { out: destination, reverb: this.reverbNode, delay: this.delayNode };
+    this.patches = new Map();   // id -> validated patch
+    // held voices by "channel:patch:note", or "channel:patch" for mono patches, plus release tails
+    this.voices = new VoiceAllocator({ maxVoices, policy });
+    this.sustain = false;
+    this.sostenuto = new Set(); // voice keys caught by the sostenuto pedal
+    this.sostenutoDown = false;
+    this.pedalled = new Set();  // voice keys released while a pedal holds them
+    patches.forEach(p => this.setPatch(p));
+  }
+
+  startTime(when) {
+    return Math.max(when || 0, this.audioCtx.currentTime);
+  }
+
+  /**
+   * Add or replace a patch; notes already sounding keep the old one.
+   * @param {object} patch
+   * @returns {object} The validated patch
+   */
+  setPatch(patch) {
+    const p = validatePatch(patch);
+    this.patches.set(p.id, p);
+    return p;
+  }
+
+  /**
+   * @param {object} settings - Any of maxVoices and policy, see VoiceAllocator
+   */
+  setPolyphony(settings) {
+    this.voices.set(settings);
+  }
+
+  voiceKey(patch, noteNumber, channel) {
+    return patch.mono ? `${channel}:${patch.id}` : `${channel}:${patch.id}:${noteNumber}`;
+  }
+
+  // voice keys of a channel's notes, or every note when channel is undefined
+  onChannel(key, channel) {
+    return channel === undefined || key.startsWith(`${channel}:`);
+  }
+
+  /**
+   * @param {string} patchId
+   * @param {number} noteNumber
+   * @param {number} velocity - 1-127
+   * @param {number} when - AudioContext time (optional)
+   * @param {number} channel - 0-15 (default 0)
+   */
+  noteOn(patchId, noteNumber, velocity, when, channel = 0) {
+    const patch = this.patches.get(patchId);
+    if (!patch) return;
+    const now = this.startTime(when);
+    const key = this.voiceKey(patch, noteNumber, channel);
+    const playing = this.voices.get(key);
+    // a new key takes the voice over from the pedal
+    this.pedalled.delete(key);
+    if (playing && patch.mono && playing.patch === patch) {
+      playing.glide(noteNumber, velocity, now);
+      return;
+    }
+    if (playing) this.release(key, now);
+    for (const { key: victim, voice } of this.voices.victims(noteNumber, now)) {
+      if (victim !== null) this.release(victim, now, STEAL_FADE);
+      else voice.stop(voice.release(now, STEAL_FADE) + 0.05);
+      this.voices.forget(voice);
+    }
+    this.voices.add(key, new PatchVoice(this.audioCtx, patch, noteNumber, velocity, now, this.outputs));
+  }
+
+  /**
+   * @param {string} patchId
+   * @param {number} noteNumber
+   * @param {number} when - AudioContext time (optional)
+   * @param {number} channel - 0-15 (default 0)
+   */
+  noteOff(patchId, noteNumber, when, channel = 0) {
+    const patch = this.patches.get(patchId);
+    if (!patch) return;
+    const key = this.voiceKey(patch, noteNumber, channel);
+    // a mono voice that has glided on belongs to the newer key
+    if (this.voices.get(key)?.note !== noteNumber) return;
+    if (this.sustain || this.sostenuto.has(key)) this.pedalled.add(key);
+    else this.release(key, this.startTime(when));
+  }
+
+  release(key, when, fade) {
+    const voice = this.voices.release(key);
+    this.sostenuto.delete(key);
+    this.pedalled.delete(key);
+    voice.stop(voice.release(when, fade) + 0.05);
+  }
+
+  /**
+   * Sustain pedal (CC64).
+   * @param {boolean} down
+   * @param {number} when - AudioContext time (optional)
+   */
+  setSustain(down, when) {
+    this.sustain = down;
+    if (!down) this.releasePedalled(when);
+  }
+
+  /**
+   * Sostenuto pedal (CC66).
+   * @param {boolean} down
+   * @param {number} when - AudioContext time (optional)
+   */
+  setSostenuto(down, when) {
+    if (down === this.sostenutoDown) return;
+    this.sostenutoDown = down;
+    if (down) {
+      // only what is still held by a key or the sustain pedal
+      this.sostenuto = new Set(this.voices.keys());
+    } else {
+      this.sostenuto.clear();
+      this.releasePedalled(when);
+    }
+  }
+
+  // end the notes no pedal holds any more
+  releasePedalled(when) {
+    const now = this.startTime(when);
+    for (const key of [...this.pedalled]) {
+      if (this.sustain || this.sostenuto.has(key)) continue;
+      this.pedalled.delete(key);
+      if (this.voices.has(key)) this.release(key, now);
+    }
+  }
+
+  /**
+   * Release every sounding note.
+   * @param {number} when - AudioContext time (optional)
+   * @param {number} channel - Only this channel's notes (default all)
+   */
+  allNotesOff(when, channel) {
+    const now = this.startTime(when);
+    for (const key of [...this.voices.keys()]) {
+      if (this.onChannel(key, channel)) this.release(key, now);
+    }
+    for (const key of [...this.pedalled]) {
+      if (this.onChannel(key, channel)) this.pedalled.delete(key);
+    }
+  }
+
+  /**
+   * Fade out every sound at once, release tails included.
+   * @param {number} when - AudioContext time (optional)
+   * @param {number} channel - Only this channel's sounds (default all)
+   */
+  allSoundOff(when, channel) {
+    const now = this.startTime(when);
+    for (const key of [...this.voices.keys()]) {
+      if (this.onChannel(key, channel)) this.release(key, now, STEAL_FADE);
+    }
+    for (const [voice, key] of [...this.voices.releasing]) {
+      if (this.onChannel(key, channel)) voice.stop(voice.release(now, STEAL_FADE) + 0.05);
+    }
+  }
+}
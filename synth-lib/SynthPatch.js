@@ -0,0 +1,226 @@
+/**
+ * SynthPatch - The declarative patch format SynthEngine builds its voices from.
+ *
+ * A patch names a set of modules and wires them together. Every note gets
+ * its own copy of the graph (or, for a `mono` patch, one graph glides
+ * between notes over `glide` seconds while keys overlap):
+ *
+ *   osc      - oscillator: `wave`, and `ratio` to the note's frequency or a
+ *              `fixed` frequency in Hz; `detune` in cents
+ *   operator - FM operator: an oscillator through its own output `level`,
+ *              scaled by velocity by `velocity` (0-1) and shaped by `env`.
+ *              Into a frequency the level is the deviation in Hz, or with
+ *              `index` set a modulation index: the deviation is the level
+ *              times the operator's own frequency, so the timbre holds
+ *              across the keyboard. `feedback` modulates the operator with
+ *              itself, as an index in the same way
+ *   filter   - BiquadFilter: `mode`, cutoff as `ratio` or `fixed`, `q`; an
+ *              `env` sweeps the cutoff by up to `env.amount` octaves,
+ *              scaled by velocity by `velocity` (0-1)
+ *   amp      - gain: `level`, `velocity` sensitivity and `env`
+ *   lfo      - low-frequency oscillator: `wave`, `rate` in Hz and `depth`
+ *              in the units of whatever it is connected to
+ *
+ * An env is { attack, decay, sustain, release, curve }, times in seconds
+ * and sustain 0-1. Attacks are linear; with the 'exponential' curve (the
+ * default) decay and release fall away like an analogue envelope, with
+ * 'linear' they are straight ramps.
+ *
+ * `connections` are [from, to] pairs where `to` is a module (its audio
+ * input), a module parameter such as 'car.frequency' or 'filter.detune'
+ * (see PATCH_MODULES for each module's parameters), or one of the engine
+ * outputs 'out', 'reverb' and 'delay'.
+ *
+ * A patch with an `fm` section is built from that instead, DX style:
+ * `fm.operators` lists 4 or 6 operators, op1 first, each with `ratio` or
+ * `fixed`, `detune`, `level` and `feedback` (both 0-1), `velocity` and
+ * `env`; `fm.algorithm` picks how they are wired (see FmAlgorithms.js) and
+ * `fm.outputs` where the carriers go (default ['out']). A carrier's level
+ * is its share of the volume, a modulator's its modulation index up to
+ * FM_MAX_INDEX. The operators become modules op1-op6.
+ *
+ * Patches are plain JSON, so they can be saved, shared and loaded as
+ * files; validatePatch() checks one and fills in defaults.
+ *
+ * Usage:
+ *   const patch = validatePatch(JSON.parse(text));
+ *   engine.setPatch(patch);
+ *   engine.noteOn(patch.id, 60, 100);
+ */
+import { fmAlgorithm } from './FmAlgorithms.js';
+
+export const WAVES = ['sine', 'square', 'sawtooth', 'triangle'];
+export const FILTER_MODES = ['lowpass', 'highpass', 'bandpass', 'notch', 'allpass', 'peaking', 'lowshelf', 'highshelf'];
+export const PATCH_OUTPUTS = ['out', 'reverb', 'delay'];
+export const ENVELOPE_CURVES = ['exponential', 'linear'];
+export const FM_MAX_INDEX = 4 * Math.PI;
+export const FM_MAX_FEEDBACK = 1;
+
+/** Module types, the parameters connections can reach and their defaults. */
+export const PATCH_MODULES = {
+  osc: { params: ['frequency', 'detune'], defaults: { wave: 'sine', ratio: 1, detune: 0 } },
+  operator: {
+    params: ['frequency', 'detune', 'level'],
+    defaults: { wave: 'sine', ratio: 1, detune: 0, level: 1, velocity: 0, index: false, feedback: 0 }
+  },
+  filter: { params: ['frequency', 'detune', 'q'], defaults: { mode: 'lowpass', ratio: 4, q: 1, velocity: 0 } },
+  amp: { params: ['gain'], defaults: { level: 1, velocity: 1, env: { attack: 0.005, decay: 0, sustain: 1, release: 0.05 } } },
+  lfo: { params: ['rate', 'depth'], defaults: { wave: 'sine', rate: 5, depth: 0 } }
+};
+
+const TAKES_INPUT = new Set(['filter', 'amp']);
+
+/** The voices midisynth.htm started with, plus a pad showing the LFO and a 6-operator FM piano. */
+export const BUILT_IN_PATCHES = [
+  {
+    id: 'fm', name: 'FM Voice',
+    modules: {
+      mod: { type: 'operator', ratio: 2, level: 100, velocity: 1 },
+      car: { type: 'osc', ratio: 1 },
+      filter: { type: 'filter', mode: 'bandpass', ratio: 0.5, q: 10,
+                env: { attack: 0, decay: 0.3, sustain: 0, release: 0, amount: 2, curve: 'linear' } },
+      amp: { type: 'amp', env: { attack: 0.01, decay: 0.19, sustain: 0.7, release: 0.5, curve: 'linear' } }
+    },
+    connections: [['mod', 'car.frequency'], ['car', 'filter'], ['filter', 'amp'], ['amp', 'reverb']]
+  },
+  {
+    id: '303', name: '303 Glide Voice',
+    mono: true, glide: 0.1,
+    modules: {
+      osc: { type: 'osc', wave: 'sawtooth' },
+      filter: { type: 'filter', mode: 'lowpass', ratio: 2, q: 12, velocity: 0.5,
+                env: { attack: 0, decay: 0.5, sustain: 0, release: 0.2, amount: 2 } },
+      amp: { type: 'amp', env: { attack: 0.01, decay: 1.5, sustain: 0.4, release: 0.2 } }
+    },
+    connections: [['osc', 'filter'], ['filter', 'amp'], ['amp', 'out'], ['amp', 'delay']]
+  },
+  {
+    id: 'pad', name: 'Vibrato Pad',
+    modules: {
+      osc1: { type: 'osc', wave: 'sawtooth', detune: -7 },
+      osc2: { type: 'osc', wave: 'sawtooth', detune: 7 },
+      vibrato: { type: 'lfo', rate: 5.5, depth: 12 },
+      filter: { type: 'filter', mode: 'lowpass', ratio: 3, q: 2,
+                env: { attack: 0.4, decay: 1, sustain: 0.3, release: 0.8, amount: 1 } },
+      amp: { type: 'amp', level: 0.4, velocity: 0.5, env: { attack: 0.3, decay: 0.5, sustain: 0.8, release: 0.8 } }
+    },
+    connections: [
+      ['vibrato', 'osc1.detune'], ['vibrato', 'osc2.detune'],
+      ['osc1', 'filter'], ['osc2', 'filter'], ['filter', 'amp'], ['amp', 'out'], ['amp', 'reverb']
+    ]
+  },
+  {
+    id: 'fm-epiano', name: 'FM Electric Piano',
+    // three operator pairs: a bell-like tine and two slightly detuned bodies
+    fm: {
+      algorithm: 5,
+      outputs: ['out', 'reverb'],
+      operators: [
+        { ratio: 1, level: 1, velocity: 0.3, env: { attack: 0.002, decay: 4, sustain: 0, release: 0.4 } },
+        { ratio: 14, level: 0.12, velocity: 0.8, env: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.2 } },
+        { ratio: 1, detune: 4, level: 1, velocity: 0.3, env: { attack: 0.002, decay: 3, sustain: 0.1, release: 0.4 } },
+        { ratio: 1, level: 0.15, velocity: 0.7, env: { attack: 0.002, decay: 1.5, sustain: 0.2, release: 0.4 } },
+        { ratio: 1, detune: -4, level: 0.6, velocity: 0.3, env: { attack: 0.002, decay: 3, sustain: 0.1, release: 0.4 } },
+        { ratio: 1, level: 0.1, velocity: 0.6, feedback: 0.3,
+          env: { attack: 0.002, decay: 1, sustain: 0.1, release: 0.4 } }
+      ]
+    }
+  }
+];
+
+function assertNumber(name, value, min, max = Infinity) {
+  if (typeof value !== 'number' || !(value >= min && value <= max)) {
+    throw new RangeError(`${name} must be ${max === Infinity ? `at least ${min}` : `${min}-${max}`}, got ${value}`);
+  }
+}
+
+function validateEnv(name, env) {
+  const e = { attack: 0, decay: 0, sustain: 1, release: 0, curve: 'exponential', ...env };
+  if (!ENVELOPE_CURVES.includes(e.curve)) throw new RangeError(`${name} has unknown curve ${e.curve}`);
+  ['attack', 'decay', 'release'].forEach(k => assertNumber(`${name} ${k}`, e[k], 0, 60));
+  assertNumber(`${name} sustain`, e.sustain, 0, 1);
+  if (e.amount !== undefined) assertNumber(`${name} amount`, e.amount, -10, 10);
+  return e;
+}
+
+function validateModule(id, module) {
+  const type = PATCH_MODULES[module?.type];
+  if (!type) throw new RangeError(`Module "${id}" has unknown type ${module?.type}`);
+  const m = { ...structuredClone(type.defaults), ...module };
+  if (m.wave !== undefined && !WAVES.includes(m.wave)) throw new RangeError(`Module "${id}" has unknown wave ${m.wave}`);
+  if (m.mode !== undefined && !FILTER_MODES.includes(m.mode)) throw new RangeError(`Module "${id}" has unknown filter mode ${m.mode}`);
+  if (m.fixed !== undefined) assertNumber(`"${id}" fixed frequency`, m.fixed, 0.01, 24000);
+  else if (m.ratio !== undefined) assertNumber(`"${id}" ratio`, m.ratio, 0.001, 64);
+  ['detune', 'level', 'q', 'rate', 'depth', 'feedback'].forEach(k => {
+    if (m[k] !== undefined && (typeof m[k] !== 'number' || !Number.isFinite(m[k]))) {
+      throw new RangeError(`"${id}" ${k} must be a number, got ${m[k]}`);
+    }
+  });
+  if (m.velocity !== undefined) assertNumber(`"${id}" velocity sensitivity`, m.velocity, 0, 1);
+  if (m.env) m.env = validateEnv(`"${id}" envelope`, m.env);
+  return m;
+}
+
+// the operator modules and wiring of a patch's `fm` section
+function expandFm(id, fm) {
+  const operators = fm?.operators;
+  if (!Array.isArray(operators)) throw new RangeError(`FM patch "${id}" has no operator list`);
+  const algorithm = fmAlgorithm(operators.length, fm.algorithm);
+  const outputs = fm.outputs ?? ['out'];
+  if (!Array.isArray(outputs) || !outputs.length || outputs.some(o => !PATCH_OUTPUTS.includes(o))) {
+    throw new RangeError(`FM patch "${id}" outputs must be some of ${PATCH_OUTPUTS.join(', ')}`);
+  }
+  const modules = {};
+  operators.forEach((op, i) => {
+    const n = i + 1;
+    const carrier = algorithm.carriers.includes(n);
+    const { level = 1, feedback = 0 } = op;
+    assertNumber(`Operator ${n} level`, level, 0, 1);
+    assertNumber(`Operator ${n} feedback`, feedback, 0, 1);
+    modules[`op${n}`] = {
+      ...op, type: 'operator', index: !carrier, feedback: feedback * FM_MAX_FEEDBACK,
+      level: carrier ? level / algorithm.carriers.length : level * FM_MAX_INDEX
+    };
+  });
+  const connections = [
+    ...algorithm.modulations.map(([from, to]) => [`op${from}`, `op${to}.frequency`]),
+    ...algorithm.carriers.flatMap(n => outputs.map(out => [`op${n}`, out]))
+  ];
+  return { fm: { ...fm, outputs }, modules, connections };
+}
+
+/**
+ * Check a patch and fill in defaults.
+ * @param {object} patch
+ * @returns {object} A validated copy
+ */
+export function validatePatch(patch) {
+  const id = String(patch?.id ?? '').trim();
+  if (!id) throw new RangeError('Patch has no id');
+  const p = { name: id, mono: false, glide: 0, connections: [], ...structuredClone(patch), id };
+  p.mono = !!p.mono;
+  assertNumber('Glide', p.glide, 0, 10);
+  if (p.fm !== undefined) Object.assign(p, expandFm(id, p.fm));
+  if (!p.modules || typeof p.modules !== 'object' || !Object.keys(p.modules).length) {
+    throw new RangeError(`Patch "${id}" has no modules`);
+  }
+  for (const [moduleId, module] of Object.entries(p.modules)) {
+    if (PATCH_OUTPUTS.includes(moduleId)) throw new RangeError(`"${moduleId}" is an output and cannot name a module`);
+    p.modules[moduleId] = validateModule(moduleId, module);
+  }
+  if (!Array.isArray(p.connections)) throw new RangeError(`Patch "${id}" connections must be a list`);
+  p.connections.forEach(([from, to]) => {
+    if (!p.modules[from]) throw new RangeError(`Connection from unknown module "${from}"`);
+    if (PATCH_OUTPUTS.includes(to)) return;
+    const [target, param] = String(to).split('.');
+    const module = p.modules[target];
+    if (!module) throw new RangeError(`Connection to unknown module "${target}"`);
+    if (param === undefined ? !TAKES_INPUT.has(module.type) : !PATCH_MODULES[module.type].params.includes(param)) {
+      throw new RangeError(`"${to}" cannot be connected to`);
+    }
+  });
+  if (!p.connections.some(([, to]) => PATCH_OUTPUTS.includes(to))) {
+    throw new RangeError(`Patch "${id}" is not connected to an output`);
+  }
+  return p;
+}
@@ -0,0 +1,234 @@
+/**
+ * Tb303 - A bass line synth modelled on the Roland TB-303, with the MIDIOutput interface.
+ *
+ * Unlike a patch voice there is one oscillator, one filter and one VCA for
+ * the whole instrument, as on the original: a sawtooth or square wave
+ * through a resonant lowpass (two biquads in series) whose envelope has
+ * no attack or sustain, only a decay. The front panel controls are all
+ * 0-1, like the knobs:
+ *
+ *   cutoff    - filter frequency, about 60 Hz to 7.7 kHz
+ *   resonance - filter Q
+ *   envMod    - how far the envelope opens the filter, up to 4 octaves
+ *   decay     - filter envelope decay, 0.2-2 s
+ *   accent    - how much louder and brighter accented notes are
+ *   volume    - output level
+ *
+ * An accented note also opens the filter further and always decays in the
+ * shortest time, whatever the decay knob says. A slid note keeps the gate
+ * open and bends to its pitch over SLIDE_TIME without restarting either
+ * envelope.
+ *
+ * noteOn() takes the accent and slide flags directly; from MIDI, a
+ * velocity of ACCENT_VELOCITY or more is an accent and a note played while
+ * another is still held slides, the convention the TB-303 reissues and
+ * Tb303Sequencer's output follow. The knobs answer to control changes
+ * listed in TB303_CONTROLS.
+ *
+ * Usage:
+ *   const tb = new Tb303(audioCtx, audioCtx.destination, { cutoff: 0.3 });
+ *   tb.noteOn(36, 100, audioCtx.currentTime, { accent: true });
+ *   tb.send([0x90, 43, 80]);  // held over the first note, so it slides
+ */
+import { MidiDecoder } from '../midi-lib/MidiDecoder.js';
+import { CC } from '../midi-lib/MidiEncoder.js';
+import { midiToFreq, hold } from './PatchVoice.js';
+
+/** The knobs, their defaults and the controllers that turn them. */
+export const TB303_CONTROLS = {
+  cutoff: { label: 'Cutoff', cc: 74, default: 0.35 },
+  resonance: { label: 'Resonance', cc: 71, default: 0.6 },
+  envMod: { label: 'Env Mod', cc: 12, default: 0.5 },
+  decay: { label: 'Decay', cc: 75, default: 0.3 },
+  accent: { label: 'Accent', cc: 16, default: 0.6 },
+  volume: { label: 'Volume', cc: CC.VOLUME, default: 0.8 }
+};
+export const TB303_WAVES = ['sawtooth', 'square'];
+export const ACCENT_VELOCITY = 100;
+export const SLIDE_TIME = 0.06;
+
+const MIN_DECAY = 0.2;
+
+function cutoffHz(cutoff) {
+  return 60 * Math.pow(2, cutoff * 7);
+}
+
+export class Tb303 {
+  /**
+   * @param {BaseAudioContext} audioCtx
+   * @param {AudioNode} destination - Default audioCtx.destination
+   * @param {object} settings - Knob values and `wave`, see set()
+   */
+  constructor(audioCtx, destination = audioCtx.destination, settings = {}) {
+    this.audioCtx = audioCtx;
+    this.decoder = new MidiDecoder();
+    this.held = [];     // notes held down, oldest first
+    this.note = null;   // pitch the oscillator is at or heading to
+    this.gateOpen = false;
+    this.wave = 'sawtooth';
+    for (const [key, control] of Object.entries(TB303_CONTROLS)) this[key] = control.default;
+
+    const now = audioCtx.currentTime;
+    this.osc = audioCtx.createOscillator();
+    this.filters = [audioCtx.createBiquadFilter(), audioCtx.createBiquadFilter()];
+    this.vca = audioCtx.createGain();
+    this.vca.gain.setValueAtTime(0, now);
+    this.out = audioCtx.createGain();
+    this.osc.connect(this.filters[0]);
+    this.filters[0].connect(this.filters[1]);
+    this.filters[1].connect(this.vca);
+    this.vca.connect(this.out);
+    this.out.connect(destination);
+    this.filters.forEach(f => { f.type = 'lowpass'; });
+    this.set(settings);
+    this.osc.start(now);
+  }
+
+  /**
+   * Turn knobs or change the wave; anything left out keeps its value.
+   * @param {object} settings - Any of the TB303_CONTROLS keys (0-1) and `wave`
+   */
+  set(settings) {
+    for (const key of Object.keys(TB303_CONTROLS)) {
+      const value = settings[key];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+        throw new RangeError(`${TB303_CONTROLS[key].label} must be 0-1, got ${value}`);
+      }
+      this[key] = value;
+    }
+    if (settings.wave !== undefined) {
+      if (!TB303_WAVES.includes(settings.wave)) throw new RangeError(`Unknown wave ${settings.wave}`);
+      this.wave = settings.wave;
+    }
+    const now = this.audioCtx.currentTime;
+    this.osc.type = this.wave;
+    this.filters.forEach(f => f.frequency.setTargetAtTime(cutoffHz(this.cutoff), now, 0.01));
+    this.filters[0].Q.setTargetAtTime(0.5, now, 0.01);
+    this.filters[1].Q.setTargetAtTime(0.7 + this.resonance * 20, now, 0.01);
+    this.out.gain.setTargetAtTime(this.volume, now, 0.01);
+  }
+
+  toJSON() {
+    const settings = { wave: this.wave };
+    for (const key of Object.keys(TB303_CONTROLS)) settings[key] = this[key];
+    return settings;
+  }
+
+  /**
+   * @param {number} note - MIDI note
+   * @param {number} velocity - 1-127
+   * @param {number} when - AudioContext time (optional)
+   * @param {object} flags
+   * @param {boolean} flags.accent - Default: velocity of ACCENT_VELOCITY or more
+   * @param {boolean} flags.slide - Default: another note is still held
+   */
+  noteOn(note, velocity, when, { accent = velocity >= ACCENT_VELOCITY, slide = this.held.length > 0 } = {}) {
+    const now = Math.max(when || 0, this.audioCtx.currentTime);
+    this.held.push(note);
+    // there is nothing to slide from once the gate has closed
+    if (slide && this.gateOpen) {
+      this.slideTo(note, now);
+      return;
+    }
+    this.note = note;
+    this.gateOpen = true;
+    const freq = this.osc.frequency;
+    hold(freq, now);
+    freq.setValueAtTime(midiToFreq(note), now);
+
+    // the filter envelope jumps up and decays to nothing
+    const octaves = this.envMod * 4 + (accent ? this.accent * 2 : 0);
+    const decay = accent ? MIN_DECAY : MIN_DECAY * Math.pow(10, this.decay);
+    for (const f of this.filters) {
+      hold(f.detune, now);
+      f.detune.setValueAtTime(octaves * 1200, now);
+      f.detune.setTargetAtTime(0, now, decay / 4.6);
+    }
+    // the VCA fades slowly while the gate is open
+    const gain = this.vca.gain;
+    hold(gain, now);
+    gain.linearRampToValueAtTime(0.5 * (1 + (accent ? this.accent : 0)), now + 0.003);
+    gain.setTargetAtTime(0, now + 0.003, 1);
+  }
+
+  slideTo(note, when) {
+    this.note = note;
+    const freq = this.osc.frequency;
+    hold(freq, when);
+    freq.setTargetAtTime(midiToFreq(note), when, SLIDE_TIME / 3);
+  }
+
+  /**
+   * @param {number} note
+   * @param {number} when - AudioContext time (optional)
+   */
+  noteOff(note, when) {
+    const index = this.held.lastIndexOf(note);
+    if (index === -1) return;
+    this.held.splice(index, 1);
+    const now = Math.max(when || 0, this.audioCtx.currentTime);
+    // last-note priority: back to the key still held, if any
+    if (this.held.length) {
+      if (note === this.note && this.held.at(-1) !== note) this.slideTo(this.held.at(-1), now);
+      return;
+    }
+    this.closeGate(now);
+  }
+
+  closeGate(when) {
+    this.gateOpen = false;
+    hold(this.vca.gain, when);
+    this.vca.gain.setTargetAtTime(0, when, 0.004);
+  }
+
+  /**
+   * Release whatever is held.
+   * @param {number} when - AudioContext time (optional)
+   */
+  allNotesOff(when) {
+    this.held = [];
+    if (this.gateOpen) this.closeGate(Math.max(when || 0, this.audioCtx.currentTime));
+  }
+
+  /**
+   * Play raw MIDI, on any channel.
+   * @param {ArrayLike<number>} data - One or more complete MIDI messages
+   * @param {number} timestamp - performance.now()-based time (optional)
+   */
+  send(data, timestamp) {
+    const delay = timestamp ? Math.max(0, (timestamp - performance.now()) / 1000) : 0;
+    const when = this.audioCtx.currentTime + delay;
+    for (const msg of this.decoder.decode(data)) {
+      if (msg.type === 'noteOn') {
+        this.noteOn(msg.note, msg.velocity, when);
+      } else if (msg.type === 'noteOff') {
+        this.noteOff(msg.note, when);
+      } else if (msg.type === 'controlChange') {
+        if (msg.controller === CC.ALL_NOTES_OFF || msg.controller === CC.ALL_SOUND_OFF) {
+          this.allNotesOff(when);
+        } else {
+          this.control(msg.controller, msg.value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Turn the knob a controller is assigned to, if any.
+   * @param {number} controller - CC number
+   * @param {number} value - 0-127
+   * @returns {boolean} Whether a knob turned
+   */
+  control(controller, value) {
+    const key = Object.keys(TB303_CONTROLS).find(k => TB303_CONTROLS[k].cc === controller);
+    if (key) this.set({ [key]: value / 127 });
+    return !!key;
+  }
+
+  /** Stop the oscillator and disconnect the instrument. */
+  disconnect() {
+    this.osc.stop();
+    [this.osc, ...this.filters, this.vca, this.out].forEach(n => n.disconnect());
+  }
+}
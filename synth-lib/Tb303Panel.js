@@ -0,0 +1,182 @@
+/**
+ * Tb303Panel - Front panel and pattern editor for a Tb303 and its Tb303Sequencer.
+ *
+ * The top row has a slider for each knob and the waveform switch. Below
+ * it a bar picks the pattern to edit (new, copy and delete included) and
+ * sets the chain, written as pattern names separated by spaces. Each of
+ * the 16 steps then shows the pitch rows (a note number with its name)
+ * and buttons for the gate, accent and slide rows. highlight() marks the
+ * step being played when it belongs to the pattern on screen. Knob
+ * changes go to `onchange` so the page can keep them. Styling is left to
+ * the page via the `tb303-*` class names.
+ *
+ * Usage:
+ *   const panel = new Tb303Panel(container, tb303, sequencer, {
+ *     onchange: settings => localStorage.setItem('tb303', JSON.stringify(settings))
+ *   });
+ */
+import { TB303_CONTROLS, TB303_WAVES } from './Tb303.js';
+import { TB303_STEPS } from './Tb303Sequencer.js';
+import { pitchName } from '../midi-lib/LayoutEditor.js';
+
+export class Tb303Panel {
+  /**
+   * @param {HTMLElement} container
+   * @param {Tb303} synth
+   * @param {Tb303Sequencer} sequencer
+   * @param {object} options
+   * @param {Function} options.onchange - (settings) => void, after a knob or the wave changes
+   */
+  constructor(container, synth, sequencer, { onchange = null } = {}) {
+    this.container = container;
+    this.synth = synth;
+    this.sequencer = sequencer;
+    this.onchange = onchange;
+    this.playing = -1;
+    this.build();
+    this.update();
+  }
+
+  build() {
+    const c = this.container;
+    c.classList.add('tb303-panel');
+    c.innerHTML = '';
+    const field = (label, input) => {
+      const l = document.createElement('label');
+      l.append(`${label} `, input);
+      return l;
+    };
+    const button = (text, onclick) => {
+      const b = document.createElement('button');
+      b.textContent = text;
+      b.onclick = onclick;
+      return b;
+    };
+
+    const knobs = document.createElement('div');
+    knobs.className = 'tb303-knobs';
+    this.knobs = {};
+    for (const [key, control] of Object.entries(TB303_CONTROLS)) {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'range', min: 0, max: 1, step: 0.01, title: `CC${control.cc}` });
+      input.oninput = () => this.turn({ [key]: +input.value });
+      knobs.appendChild(field(`${control.label}:`, input));
+      this.knobs[key] = input;
+    }
+    this.waveSelect = document.createElement('select');
+    TB303_WAVES.forEach(w => {
+      const o = document.createElement('option');
+      o.value = o.textContent = w;
+      this.waveSelect.appendChild(o);
+    });
+    this.waveSelect.onchange = () => this.turn({ wave: this.waveSelect.value });
+    knobs.appendChild(field('Wave:', this.waveSelect));
+
+    const bar = document.createElement('div');
+    bar.className = 'tb303-bar';
+    this.patternSelect = document.createElement('select');
+    this.patternSelect.onchange = () => this.edit(() => this.sequencer.select(this.patternSelect.value));
+    this.chainInput = document.createElement('input');
+    Object.assign(this.chainInput, { type: 'text', placeholder: 'e.g. A A B A', title: 'Empty loops the pattern being edited' });
+    this.chainInput.onchange = () => this.edit(() => {
+      this.sequencer.setChain(this.chainInput.value.split(/\s+/).filter(Boolean));
+    });
+    bar.append(
+      field('Pattern:', this.patternSelect),
+      button('New…', () => {
+        const name = prompt('Name for the new pattern:');
+        if (name) this.edit(() => this.sequencer.select(name));
+      }),
+      button('Copy to…', () => {
+        const name = prompt(`Copy "${this.sequencer.editing}" to:`);
+        if (name) this.edit(() => this.sequencer.copyTo(name));
+      }),
+      button('Delete', () => {
+        const name = this.sequencer.editing;
+        if (confirm(`Delete pattern "${name}"?`)) this.edit(() => this.sequencer.remove(name));
+      }),
+      field('Chain:', this.chainInput)
+    );
+
+    this.stepsEl = document.createElement('div');
+    this.stepsEl.className = 'tb303-steps';
+    this.cells = [];
+    for (let i = 0; i < TB303_STEPS; i++) {
+      const cell = document.createElement('div');
+      cell.className = 'tb303-step';
+      const name = document.createElement('span');
+      name.className = 'tb303-note';
+      const note = document.createElement('input');
+      Object.assign(note, { type: 'number', min: 0, max: 127, title: 'Pitch' });
+      note.onchange = () => this.edit(() => this.sequencer.setStep(i, { note: +note.value }));
+      const toggle = (text, row) => {
+        const b = button(text, () => this.edit(() => this.sequencer.setStep(i, { [row]: !this.sequencer.pattern[i][row] })));
+        b.title = row[0].toUpperCase() + row.slice(1);
+        return b;
+      };
+      const gate = toggle('Note', 'gate');
+      const accent = toggle('Acc', 'accent');
+      const slide = toggle('Slide', 'slide');
+      cell.append(name, note, gate, accent, slide);
+      this.stepsEl.appendChild(cell);
+      this.cells.push({ cell, name, note, gate, accent, slide });
+    }
+    c.append(knobs, bar, this.stepsEl);
+  }
+
+  update() {
+    const settings = this.synth.toJSON();
+    for (const [key, input] of Object.entries(this.knobs)) input.value = settings[key];
+    this.waveSelect.value = settings.wave;
+
+    this.patternSelect.innerHTML = '';
+    this.sequencer.names().forEach(n => {
+      const o = document.createElement('option');
+      o.value = o.textContent = n;
+      this.patternSelect.appendChild(o);
+    });
+    this.patternSelect.value = this.sequencer.editing;
+    this.chainInput.value = this.sequencer.chain.join(' ');
+
+    this.sequencer.pattern.forEach((s, i) => {
+      const { cell, name, note, gate, accent, slide } = this.cells[i];
+      cell.classList.toggle('tb303-rest', !s.gate);
+      name.textContent = s.gate ? pitchName(s.note * 100) : '–';
+      note.value = s.note;
+      gate.classList.toggle('tb303-on', s.gate);
+      accent.classList.toggle('tb303-on', s.accent);
+      slide.classList.toggle('tb303-on', s.slide);
+    });
+  }
+
+  turn(settings) {
+    try {
+      this.synth.set(settings);
+      this.onchange?.(this.synth.toJSON());
+    } catch (err) {
+      alert(err.message);
+      this.update();
+    }
+  }
+
+  // run a sequencer change, reporting what it refuses
+  edit(change) {
+    try {
+      change();
+    } catch (err) {
+      alert(err.message);
+    }
+    this.update();
+  }
+
+  /**
+   * Mark the step being played, or none with -1.
+   * @param {number} index - 0-15
+   * @param {string} pattern - Name of the pattern it is in (default the one on screen)
+   */
+  highlight(index, pattern = this.sequencer.editing) {
+    this.cells[this.playing]?.cell.classList.remove('tb303-playing');
+    this.playing = pattern === this.sequencer.editing ? index : -1;
+    this.cells[this.playing]?.cell.classList.add('tb303-playing');
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Tb303Sequencer - TB-303 style 16-step patterns, saved by name and played in chains.
+ *
+ * Every step has the four rows of the original's pattern memory: a pitch,
+ * a gate (a note or a rest), an accent and a slide. A slide step holds its
+ * note over the start of the next one, so the synth bends into it; sliding
+ * into a rest holds the note to the end of the step instead. Everything
+ * else lasts `gate` of a step.
+ *
+ * Patterns are kept by name; edits go to the one being edited and are
+ * saved straight away. With a chain set, the patterns play in turn, one
+ * bar each, then start over; with none, the pattern being edited loops.
+ * step() returns MIDI note-ons and note-offs timestamped ahead of time, as
+ * StepSequencer does: accents at velocity 127 and other notes at 80, slid
+ * notes overlapping the next, which is how Tb303 (or an external
+ * 303-style synth) reads them.
+ *
+ * Patterns and the chain are kept in localStorage under `storageKey`.
+ *
+ * Usage:
+ *   const seq = new Tb303Sequencer();
+ *   seq.setStep(0, { gate: true, note: 36, accent: true });
+ *   seq.setChain(['A', 'A', 'B']);
+ *   transport.onstep = (step, time, duration) => {
+ *     seq.step(step, time, duration).forEach(e => tb303.send(e.data, e.time));
+ *   };
+ */
+import { MidiEncoder } from '../midi-lib/MidiEncoder.js';
+
+export const TB303_STEPS = 16;
+
+const NORMAL_VELOCITY = 80;
+const ACCENTED_VELOCITY = 127;
+
+function emptyPattern() {
+  return Array.from({ length: TB303_STEPS }, () => ({ note: 36, gate: false, accent: false, slide: false }));
+}
+
+// something to play straight away
+function demoPattern() {
+  const steps = emptyPattern();
+  [[36, 1, 0], [36, 0, 0], [48, 0, 1], [46, 1, 0], null, [36, 0, 0], [39, 0, 1], [41, 0, 0],
+   [36, 1, 0], null, [43, 0, 1], [41, 0, 0], [36, 0, 0], [48, 1, 0], null, [39, 0, 0]].forEach((s, i) => {
+    if (s) Object.assign(steps[i], { note: s[0], gate: true, accent: !!s[1], slide: !!s[2] });
+  });
+  return steps;
+}
+
+function patternName(name) {
+  const n = String(name ?? '').trim();
+  // chains are written as names separated by spaces
+  if (!n || /\s/.test(n)) throw new RangeError(`Pattern names must be one word, got "${n}"`);
+  return n;
+}
+
+export class Tb303Sequencer {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key (default 'tb303Sequencer')
+   */
+  constructor({ storageKey = 'tb303Sequencer' } = {}) {
+    this.storageKey = storageKey;
+    this.patterns = new Map([['A', demoPattern()]]);  // name -> steps
+    this.editing = 'A';
+    this.chain = [];        // pattern names, one bar each
+    this.gate = 0.5;
+    this.sliding = null;    // note held into the next step by a slide
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (!saved?.patterns || !Object.keys(saved.patterns).length) return;
+      this.patterns = new Map(Object.entries(saved.patterns).map(([name, steps]) => {
+        const pattern = emptyPattern();
+        steps.slice(0, TB303_STEPS).forEach((s, i) => Object.assign(pattern[i], s));
+        return [name, pattern];
+      }));
+      this.editing = this.patterns.has(saved.editing) ? saved.editing : this.patterns.keys().next().value;
+      this.chain = (saved.chain || []).filter(name => this.patterns.has(name));
+    } catch (err) {
+      console.warn('Ignoring unreadable 303 patterns:', err);
+    }
+  }
+
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({
+      patterns: Object.fromEntries(this.patterns), editing: this.editing, chain: this.chain
+    }));
+  }
+
+  /** Steps of the pattern being edited. */
+  get pattern() {
+    return this.patterns.get(this.editing);
+  }
+
+  /** @returns {string[]} Pattern names in the order they were made */
+  names() {
+    return [...this.patterns.keys()];
+  }
+
+  /**
+   * Change one step of the pattern being edited and save it.
+   * @param {number} index - 0-15
+   * @param {{note?: number, gate?: boolean, accent?: boolean, slide?: boolean}} changes
+   */
+  setStep(index, changes) {
+    const step = this.pattern[index];
+    if (!step) throw new RangeError(`step must be 0-${TB303_STEPS - 1}, got ${index}`);
+    const next = { ...step, ...changes };
+    if (!Number.isInteger(next.note) || next.note < 0 || next.note > 127) {
+      throw new RangeError(`note must be 0-127, got ${next.note}`);
+    }
+    Object.assign(step, next, { gate: !!next.gate, accent: !!next.accent, slide: !!next.slide });
+    this.save();
+  }
+
+  /**
+   * Edit another pattern, starting an empty one if there is none by that name.
+   * @param {string} name
+   */
+  select(name) {
+    const n = patternName(name);
+    if (!this.patterns.has(n)) this.patterns.set(n, emptyPattern());
+    this.editing = n;
+    this.save();
+  }
+
+  /**
+   * Save a copy of the pattern being edited under another name and edit that.
+   * @param {string} name - Replaces any pattern of that name
+   */
+  copyTo(name) {
+    const n = patternName(name);
+    this.patterns.set(n, structuredClone(this.pattern));
+    this.editing = n;
+    this.save();
+  }
+
+  /**
+   * Delete a pattern, and take it out of the chain. The last one stays.
+   * @param {string} name
+   */
+  remove(name) {
+    if (this.patterns.size === 1) throw new Error('The last pattern cannot be deleted');
+    this.patterns.delete(name);
+    this.chain = this.chain.filter(n => n !== name);
+    if (this.editing === name) this.editing = this.patterns.keys().next().value;
+    this.save();
+  }
+
+  /**
+   * @param {string[]} names - Patterns to play in turn; empty loops the one being edited
+   */
+  setChain(names) {
+    const missing = names.find(name => !this.patterns.has(name));
+    if (missing !== undefined) throw new RangeError(`There is no pattern "${missing}"`);
+    this.chain = [...names];
+    this.save();
+  }
+
+  /**
+   * @param {number} step - Transport step number
+   * @returns {string} Name of the pattern playing at that step
+   */
+  patternAt(step) {
+    if (!this.chain.length) return this.editing;
+    return this.chain[Math.floor(step / TB303_STEPS) % this.chain.length];
+  }
+
+  stepAt(step) {
+    return this.patterns.get(this.patternAt(step))[step % TB303_STEPS];
+  }
+
+  /** Forget a slide in progress, when the transport stops. */
+  reset() {
+    this.sliding = null;
+  }
+
+  /**
+   * Messages for one transport step.
+   * @param {number} step - Transport step number
+   * @param {number} time - performance.now()-based time of the step
+   * @param {number} duration - Step length in ms
+   * @param {number} channel - 0-15 (default 0)
+   * @returns {{data: number[], time: number}[]}
+   */
+  step(step, time, duration, channel = 0) {
+    const s = this.stepAt(step);
+    const out = [];
+    if (s.gate) {
+      out.push({ data: MidiEncoder.noteOn(channel, s.note, s.accent ? ACCENTED_VELOCITY : NORMAL_VELOCITY), time });
+    }
+    // the note slid from ends once this one has started
+    if (this.sliding !== null) {
+      out.push({ data: MidiEncoder.noteOff(channel, this.sliding), time });
+      this.sliding = null;
+    }
+    if (!s.gate) return out;
+    if (!s.slide) {
+      out.push({ data: MidiEncoder.noteOff(channel, s.note), time: time + this.gate * duration });
+    } else if (this.stepAt(step + 1).gate) {
+      this.sliding = s.note;
+    } else {
+      out.push({ data: MidiEncoder.noteOff(channel, s.note), time: time + duration });
+    }
+    return out;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * VirtualSynthOutput - An in-browser instrument with the MIDIOutput interface.
+ *
+ * Pages send raw MIDI bytes to it exactly as they would to a hardware port
+ * (send(data, timestamp), clear()), and it plays them on a SynthEngine. This
+ * keeps the strum and keyboard pages playable without a Yamaha connected.
+ *
+ * Each channel picks its voice from the last program change: GM bass
+ * (33-40) and synth lead (81-88) programs use the 303 glide voice, every
+ * other program the FM voice. Channels keep their own notes, even on the
+ * same voice. All Notes Off releases the notes of the channel it arrives
+ * on and All Sound Off also silences that channel's release tails. The
+ * sustain and sostenuto pedals hold notes on every channel, since the
+ * channels share one engine, and Reset All Controllers lifts them.
+ *
+ * The AudioContext is created on first send(); browsers only let it start
+ * from a user gesture, which is where pages send notes from anyway.
+ */
+import { MidiDecoder } from '../midi-lib/MidiDecoder.js';
+import { CC } from '../midi-lib/MidiEncoder.js';
+import { SynthEngine } from './SynthEngine.js';
+
+export function voiceForProgram(program) {
+  if ((program >= 32 && program <= 39) || (program >= 80 && program <= 87)) return '303';
+  return 'fm';
+}
+
+export class VirtualSynthOutput {
+  /**
+   * @param {object} options
+   * @param {string} options.id - Port id (default 'virtual-synth')
+   * @param {string} options.name - Port name shown in output lists
+   */
+  constructor({ id = 'virtual-synth', name = 'Virtual Synth (FM/303)' } = {}) {
+    this.id = id;
+    this.name = name;
+    this.manufacturer = 'Browser';
+    this.type = 'output';
+    this.state = 'connected';
+    this.virtual = true;
+
+    this.audioCtx = null;
+    this.engine = null;
+    this.decoder = new MidiDecoder();
+    this.channelVoices = new Array(16).fill('fm');
+    this.noteVoices = new Map();  // "channel:note" -> voice it was started on
+  }
+
+  ensureEngine() {
+    if (!this.engine) {
+      this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      this.engine = new SynthEngine(this.audioCtx);
+    }
+    if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
+    return this.engine;
+  }
+
+  /**
+   * @param {ArrayLike<number>} data - One or more complete MIDI messages
+   * @param {number} timestamp - performance.now()-based time (optional)
+   */
+  send(data, timestamp) {
+    const engine = this.ensureEngine();
+    const delay = timestamp ? Math.max(0, (timestamp - performance.now()) / 1000) : 0;
+    const when = this.audioCtx.currentTime + delay;
+
+    for (const msg of this.decoder.decode(data)) {
+      const key = `${msg.channel}:${msg.note}`;
+      switch (msg.type) {
+        case 'noteOn': {
+          const voice = this.channelVoices[msg.channel];
+          this.noteVoices.set(key, voice);
+          engine.noteOn(voice, msg.note, msg.velocity, when, msg.channel);
+          break;
+        }
+        case 'noteOff': {
+          const voice = this.noteVoices.get(key);
+          if (voice === undefined) break;
+          this.noteVoices.delete(key);
+          engine.noteOff(voice, msg.note, when, msg.channel);
+          break;
+        }
+        case 'programChange':
+          this.channelVoices[msg.channel] = voiceForProgram(msg.program);
+          break;
+        case 'controlChange':
+          if (msg.controller === CC.ALL_NOTES_OFF || msg.controller === CC.ALL_SOUND_OFF) {
+            if (msg.controller === CC.ALL_SOUND_OFF) engine.allSoundOff(when, msg.channel);
+            else engine.allNotesOff(when, msg.channel);
+            for (const k of [...this.noteVoices.keys()]) {
+              if (k.startsWith(`${msg.channel}:`)) this.noteVoices.delete(k);
+            }
+          } else if (msg.controller === CC.SUSTAIN) {
+            engine.setSustain(msg.value >= 64, when);
+          } else if (msg.controller === CC.SOSTENUTO) {
+            engine.setSostenuto(msg.value >= 64, when);
+          } else if (msg.controller === CC.RESET_ALL_CONTROLLERS) {
+            engine.setSustain(false, when);
+            engine.setSostenuto(false, when);
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * Nothing is queued outside the AudioContext, so there is nothing to drop.
+   */
+  clear() {}
+}
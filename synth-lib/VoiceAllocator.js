@@ -0,0 +1,124 @@
+/**
+ * VoiceAllocator - Keeps SynthEngine's voices within a polyphony limit.
+ *
+ * Tracks every voice from its note-on until its oscillators have stopped:
+ * voices still held by a key or pedal under their voice key, and voices in
+ * their release stage on their own until they report that they have
+ * ended. Both count towards `maxVoices`, since a release tail costs as
+ * much as a held note. Releasing voices keep their key, so a caller can
+ * still tell which part they belong to.
+ *
+ * When a new note needs room, victims() names the voices to cut. Voices
+ * already releasing go first, then held ones, each in the order of the
+ * stealing policy:
+ *   oldest    - the voice that started first
+ *   quietest  - the voice whose amp envelopes are lowest at that moment
+ *   same-note - a voice playing the new note's pitch, then the oldest
+ *
+ * Usage:
+ *   const voices = new VoiceAllocator({ maxVoices: 8, policy: 'quietest' });
+ *   for (const { key, voice } of voices.victims(60, now)) cut(key, voice);
+ *   voices.add('0:fm:60', voice);
+ */
+
+export const STEAL_POLICIES = ['oldest', 'quietest', 'same-note'];
+
+export class VoiceAllocator {
+  /**
+   * @param {object} options
+   * @param {number} options.maxVoices - 1-128 (default 16)
+   * @param {string} options.policy - One of STEAL_POLICIES (default 'oldest')
+   */
+  constructor({ maxVoices = 16, policy = 'oldest' } = {}) {
+    this.held = new Map();      // voice key -> PatchVoice held by a key or pedal
+    this.releasing = new Map(); // PatchVoice in its release stage, until it ends -> its key
+    this.set({ maxVoices, policy });
+  }
+
+  /**
+   * @param {object} settings - Any of maxVoices and policy
+   */
+  set({ maxVoices = this.maxVoices, policy = this.policy } = {}) {
+    if (!Number.isInteger(maxVoices) || maxVoices < 1 || maxVoices > 128) {
+      throw new RangeError(`Polyphony must be 1-128 voices, got ${maxVoices}`);
+    }
+    if (!STEAL_POLICIES.includes(policy)) throw new RangeError(`Unknown stealing policy ${policy}`);
+    this.maxVoices = maxVoices;
+    this.policy = policy;
+  }
+
+  toJSON() {
+    return { maxVoices: this.maxVoices, policy: this.policy };
+  }
+
+  /** Voices sounding, held or releasing. */
+  get size() {
+    return this.held.size + this.releasing.size;
+  }
+
+  get(key) {
+    return this.held.get(key);
+  }
+
+  has(key) {
+    return this.held.has(key);
+  }
+
+  keys() {
+    return this.held.keys();
+  }
+
+  /**
+   * @param {string} key - Voice key
+   * @param {PatchVoice} voice - Just started
+   */
+  add(key, voice) {
+    this.held.set(key, voice);
+    voice.onended = () => this.releasing.delete(voice);
+  }
+
+  /**
+   * Move a held voice to the releasing ones.
+   * @param {string} key
+   * @returns {PatchVoice|undefined}
+   */
+  release(key) {
+    const voice = this.held.get(key);
+    if (!voice) return undefined;
+    this.held.delete(key);
+    this.releasing.set(voice, key);
+    return voice;
+  }
+
+  /**
+   * Stop counting a voice that is being cut short.
+   * @param {PatchVoice} voice
+   */
+  forget(voice) {
+    this.releasing.delete(voice);
+  }
+
+  /**
+   * The voices to cut so one more note fits, in the order to cut them.
+   * @param {number} note - The new note
+   * @param {number} when - AudioContext time, for the quietest policy
+   * @returns {{key: string|null, voice: PatchVoice}[]} key is null for releasing voices
+   */
+  victims(note, when) {
+    const excess = this.size + 1 - this.maxVoices;
+    if (excess <= 0) return [];
+    const levels = new Map();
+    const level = voice => {
+      if (!levels.has(voice)) levels.set(voice, voice.level(when));
+      return levels.get(voice);
+    };
+    const order = {
+      oldest: (a, b) => a.voice.started - b.voice.started,
+      quietest: (a, b) => level(a.voice) - level(b.voice),
+      'same-note': (a, b) => (a.voice.note !== note) - (b.voice.note !== note) || a.voice.started - b.voice.started
+    }[this.policy];
+    const releasing = [...this.releasing.keys()].map(voice => ({ key: null, voice })).sort(order);
+    const held = [...this.held].map(([key, voice]) => ({ key, voice })).sort(order);
+    return [...releasing, ...held].slice(0, excess);
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * synth-lib - Web Audio instruments shared by the synth and controller pages.
+ *
+ * - SynthEngine: plays patches, with pedals and a polyphony limit
+ * - SynthPatch: JSON patch format, validation and the built-in presets
+ * - FmAlgorithms: DX-style 4- and 6-operator FM algorithms
+ * - Dx7SysexFile: DX7 voice bank reader
+ * - PatchVoice: one sounding note of a patch
+ * - VoiceAllocator: voice counting and stealing
+ * - PatchLibrary: loaded and edited patches
+ * - EnvelopeEditor: ADSR envelope editor
+ * - FmEditor: FM operator editor
+ * - VirtualSynthOutput: a MIDI output that plays the engine, for when no hardware is attached
+ * - Tb303: TB-303 model with accent and slide
+ * - Tb303Sequencer: 16-step 303 patterns, saved and chainable
+ * - Tb303Panel: 303 knobs and pattern editor
+ */
+
+export { SynthEngine, midiToFreq, createImpulseResponse } from './SynthEngine.js';
+export { BUILT_IN_PATCHES, PATCH_MODULES, PATCH_OUTPUTS, WAVES, FILTER_MODES, ENVELOPE_CURVES,
+  FM_MAX_INDEX, FM_MAX_FEEDBACK, validatePatch } from './SynthPatch.js';
+export { FM_ALGORITHMS, fmAlgorithm } from './FmAlgorithms.js';
+export { Dx7SysexFile } from './Dx7SysexFile.js';
+export { PatchVoice } from './PatchVoice.js';
+export { VoiceAllocator, STEAL_POLICIES } from './VoiceAllocator.js';
+export { PatchLibrary } from './PatchLibrary.js';
+export { EnvelopeEditor } from './EnvelopeEditor.js';
+export { FmEditor } from './FmEditor.js';
+export { VirtualSynthOutput, voiceForProgram } from './VirtualSynthOutput.js';
+export { Tb303, TB303_CONTROLS, TB303_WAVES, ACCENT_VELOCITY, SLIDE_TIME } from './Tb303.js';
+export { Tb303Sequencer, TB303_STEPS } from './Tb303Sequencer.js';
+export { Tb303Panel } from './Tb303Panel.js';